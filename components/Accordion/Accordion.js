@@ -1,4 +1,4 @@
-import { events, Animation } from '../../utils';
+import { events, Animation, injectStyles } from '../../utils';
 
 export default class Accordion {
   /**
@@ -13,6 +13,8 @@ export default class Accordion {
    * @param {boolean} options.navigation Show prev/next buttons on each item (optional)
    * @param {string} options.defaultOpenIndex Index of item to open by default (optional)
    * @param {boolean} options.forceOpenAll Open all items - cannot be closed (optional)
+   * @param {DomChanges} options.changes Record the component so it is removed on revert (optional)
+   * @param {boolean} options.injectStyles Inject the default styles instead of using Accordion.scss (optional)
    */
   constructor(ID, options) {
     // Group common settings
@@ -24,6 +26,7 @@ export default class Accordion {
       navigation: options.navigation !== undefined ? options.navigation : false,
       defaultOpenIndex: options.defaultOpenIndex !== undefined ? options.defaultOpenIndex : false,
       forceOpenAll: options.forceOpenAll !== undefined ? options.forceOpenAll : false,
+      changes: options.changes || null,
     };
 
     this.callbacks = {
@@ -35,6 +38,10 @@ export default class Accordion {
 
     this.openClass = `${this.cache.ID}_Accordion__item--open`;
 
+    if (options.injectStyles) {
+      injectStyles(ID, Accordion.getStyles(ID), { scope: false });
+    }
+
     // Create component
     this.create();
     this.bindEvents();
@@ -130,6 +137,10 @@ export default class Accordion {
     };
     cache.content.forEach(createItem);
 
+    if (cache.changes) {
+      cache.changes.track(component);
+    }
+
     cache.component = component;
     cache.itemElements = component.querySelectorAll(`.${cache.ID}_Accordion__item`);
   }
@@ -305,6 +316,55 @@ export default class Accordion {
     }
   }
 
+  /**
+   * Default styles, equivalent to Accordion.scss
+   * @param {string} ID Experiment ID
+   * @returns {string} CSS
+   */
+  static getStyles(ID) {
+    return `
+      .${ID} .${ID}_Accordion__itemTab {
+        border: 1px solid #000;
+        border-top: 0;
+        padding: 10px;
+        font-size: 16px;
+        text-align: center;
+      }
+      .${ID} .${ID}_Accordion__itemBody {
+        display: none;
+        border: 1px solid #000;
+        border-top: 0;
+        overflow: hidden;
+        box-sizing: border-box;
+      }
+      .${ID} .${ID}_Accordion__itemBodyInner {
+        padding: 10px;
+      }
+      .${ID}.${ID}_Accordion__item--open .${ID}_Accordion__itemBody {
+        display: block;
+      }
+      .${ID} .${ID}_Accordion__item:first-of-type .${ID}_Accordion__itemTab {
+        border-top: 1px solid #000;
+      }
+      .${ID} .${ID}_Accordion__nav {
+        padding: 15px 10px;
+        text-transform: uppercase;
+        font-weight: 800;
+        max-width: 180px;
+        width: 90%;
+        background: #1b1b1b;
+        color: white;
+        display: inline-block;
+      }
+      .${ID} .${ID}_Accordion__nav.${ID}_Accordion__nav--prev {
+        margin: 0 0 20px 0;
+      }
+      .${ID} .${ID}_Accordion__nav.${ID}_Accordion__nav--next {
+        margin: 20px 0 0 0;
+      }
+    `;
+  }
+
   /**
    * Get the height of an element whether it's hidden or visible
    * @param {HTMLElement} element Element to get the height of
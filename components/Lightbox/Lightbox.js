@@ -1,4 +1,4 @@
-import { events } from '../../utils';
+import { events, injectStyles } from '../../utils';
 
 export default class Lightbox {
   /**
@@ -6,6 +6,8 @@ export default class Lightbox {
    * @param {string} ID Experiment ID
    * @param {HTMLElement} options.content Content to go inside the lightbox
    * @param {boolean} options.closeOnClick Close on click away from lightbox
+   * @param {DomChanges} options.changes Record injected elements so they are removed on revert (optional)
+   * @param {boolean} options.injectStyles Inject the default styles instead of using Lightbox.scss (optional)
    */
   constructor(ID, options) {
     // Group common settings
@@ -13,6 +15,7 @@ export default class Lightbox {
       ID,
       content: options.content,
       closeOnClick: options.closeOnClick !== 'undefined' ? options.closeOnClick : true,
+      changes: options.changes || null,
     };
     this.callbacks = {
       beforeOpen: options.beforeOpen || null,
@@ -22,6 +25,10 @@ export default class Lightbox {
     };
     this.state = 'closed';
 
+    if (options.injectStyles) {
+      injectStyles(ID, Lightbox.getStyles(ID), { scope: false });
+    }
+
     // Create component
     this.create();
     this.bindEvents();
@@ -88,8 +95,18 @@ export default class Lightbox {
   render() {
     const { body } = document;
     const { cache } = this;
-    body.appendChild(cache.overlay);
-    body.appendChild(cache.component);
+    if (cache.changes) {
+      cache.changes.insert(cache.overlay, body);
+      cache.changes.insert(cache.component, body);
+      // Make sure page scrolling isn't left disabled
+      cache.changes.record(() => {
+        document.documentElement.classList.remove(`${cache.ID}_Lightbox__noScroll`);
+        body.classList.remove(`${cache.ID}_Lightbox__noScroll`);
+      });
+    } else {
+      body.appendChild(cache.overlay);
+      body.appendChild(cache.component);
+    }
   }
 
   /** Open lightbox */
@@ -127,4 +144,110 @@ export default class Lightbox {
       this.open();
     }
   }
+
+  /**
+   * Default styles, equivalent to Lightbox.scss
+   * @param {string} ID Experiment ID
+   * @returns {string} CSS
+   */
+  static getStyles(ID) {
+    return `
+      html.${ID}_Lightbox__noScroll,
+      body.${ID}_Lightbox__noScroll {
+        overflow: hidden;
+      }
+      .${ID} .${ID}_Lightbox__overlay {
+        z-index: 99999;
+        position: fixed;
+        background-color: rgba(0, 0, 0, 0.5);
+        height: 100%;
+        width: 100%;
+        top: 0;
+        right: 0;
+        bottom: 0;
+        left: 0;
+        display: none;
+      }
+      .${ID} .${ID}_Lightbox {
+        z-index: 999999;
+        margin: 0px auto;
+        width: 90%;
+        max-width: 880px;
+        height: auto;
+        max-height: 90%;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        position: fixed;
+        display: none;
+        box-shadow: 0 0 40px 3px hsla(0,0%,39%,.2);
+      }
+      @media screen and (max-width: 400px) {
+        .${ID} .${ID}_Lightbox {
+          width: 95%;
+        }
+      }
+      .${ID} .${ID}_Lightbox__content {
+        background-color: #fff;
+        height: auto;
+        max-height: 90%;
+        max-height: 90vh;
+        overflow-y: auto;
+        border-radius: 3px;
+        border: 1px solid #e5e5e5;
+      }
+      @media screen and (max-width: 767px) {
+        .${ID} .${ID}_Lightbox__content {
+          max-height: 80%;
+          max-height: 80vh;
+        }
+      }
+      .${ID} .${ID}_Lightbox__section {
+        padding: 25px 35px;
+      }
+      .${ID} .${ID}_Lightbox__section:first-of-type {
+        margin-top: 0;
+      }
+      .${ID} .${ID}_Lightbox__section:last-of-type {
+        margin-bottom: 0;
+      }
+      .${ID} .${ID}_Lightbox__section h2 {
+        padding: 0;
+        margin: 0 0 20px 0;
+        color: #4e4e4e;
+        font-weight: 300;
+        font-size: 26px;
+      }
+      .${ID} .${ID}_Lightbox__close {
+        border-radius: 50%;
+        width: 50px;
+        height: 50px;
+        background-color: #ffe103;
+        cursor: pointer;
+        z-index: 1002;
+        position: absolute;
+        top: -15px;
+        right: -15px;
+        text-align: center;
+      }
+      .${ID} .${ID}_Lightbox__close:hover {
+        background-color: #ffec5e;
+        transition: ease .3s all;
+      }
+      .${ID} .${ID}_Lightbox__close:before {
+        content: '×';
+        font-size: 40px;
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        color: #000;
+      }
+      @media screen and (max-width: 550px) {
+        .${ID} .${ID}_Lightbox__close {
+          right: -5px;
+        }
+      }
+    `;
+  }
 }
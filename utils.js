@@ -38,11 +38,356 @@ const mergeObjects = (target, source) => {
   return merged;
 };
 
+/**
+ * Get the shared namespace used to store state across experiments on the page
+ * @returns {object} window.ucGlobals
+ */
+const getGlobals = () => {
+  window.ucGlobals = window.ucGlobals || {};
+  return window.ucGlobals;
+};
+
+/**
+ * Get the value of a query parameter from the current URL
+ * @param {string} name
+ * @returns {string|null} The decoded value, an empty string if the parameter has no value
+ *  or null if it isn't present
+ */
+const getQueryParam = (name) => {
+  const match = new RegExp(`[?&]${name}(=([^&#]*))?(&|#|$)`).exec(window.location.search);
+  if (!match) return null;
+  return match[2] ? decodeURIComponent(match[2].replace(/\+/g, ' ')) : '';
+};
+
+/**
+ * @desc JSON helpers for sessionStorage and localStorage that fail silently where storage
+ * is unavailable, e.g. in some private browsing modes
+ */
+const storage = {
+  /**
+   * @param {string} key
+   * @param {string} type 'sessionStorage' or 'localStorage', defaults to sessionStorage
+   * @returns {*} The parsed value or null
+   */
+  get(key, type) {
+    try {
+      const value = window[type || 'sessionStorage'].getItem(key);
+      return value ? JSON.parse(value) : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * @param {string} key
+   * @param {*} value Any value that can be converted to JSON
+   * @param {string} type 'sessionStorage' or 'localStorage', defaults to sessionStorage
+   * @returns {boolean} True if the value was stored
+   */
+  set(key, value, type) {
+    try {
+      window[type || 'sessionStorage'].setItem(key, JSON.stringify(value));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  },
+
+  /**
+   * @param {string} key
+   * @param {string} type 'sessionStorage' or 'localStorage', defaults to sessionStorage
+   */
+  remove(key, type) {
+    try {
+      window[type || 'sessionStorage'].removeItem(key);
+    } catch (err) {
+      // Storage unavailable
+    }
+  },
+};
+
+/**
+ * @desc Read and write first-party cookies
+ */
+const cookies = {
+  /**
+   * @param {string} name
+   * @returns {string|null}
+   */
+  get(name) {
+    const match = new RegExp(`(?:^|; )${name}=([^;]*)`).exec(document.cookie);
+    return match ? decodeURIComponent(match[1]) : null;
+  },
+
+  /**
+   * @param {string} name
+   * @param {string} value
+   * @param {number} days Days until the cookie expires, leave out for a session cookie
+   * @param {string} domain Domain to set the cookie on, e.g. '.example.com' (optional)
+   */
+  set(name, value, days, domain) {
+    let cookie = `${name}=${encodeURIComponent(value)};path=/`;
+    if (days) {
+      cookie += `;expires=${new Date(getNow() + (days * 8.64e7)).toUTCString()}`;
+    }
+    if (domain) {
+      cookie += `;domain=${domain}`;
+    }
+    document.cookie = cookie;
+  },
+
+  /**
+   * @param {string} name
+   * @param {string} domain Domain the cookie was set on (optional)
+   */
+  remove(name, domain) {
+    this.set(name, '', -1, domain);
+  },
+};
+
+/**
+ * Check if debug logging has been switched on for the page, either with the uc_debug
+ * query parameter or by setting window.ucGlobals.debug
+ * @returns {boolean}
+ */
+const isDebugMode = () => !!getGlobals().debug || getQueryParam('uc_debug') !== null;
+
+/**
+ * Check a value against an expected value
+ * RegExps are tested against the value, functions are called with it, true requires a
+ * non-empty value, false an empty one, and anything else must equal the value exactly
+ * @param {*} value
+ * @param {*} expected
+ * @returns {boolean}
+ */
+const matchValue = (value, expected) => {
+  if (expected instanceof RegExp) return expected.test(value);
+  if (typeof expected === 'function') return !!expected(value);
+  if (expected === true) return value !== null && value !== undefined && value !== '';
+  if (expected === false) return value === null || value === undefined || value === '';
+  return value === expected || String(value) === String(expected);
+};
+
+/**
+ * Check if an element is rendered and takes up space on the page
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+const isElementVisible = element => !!(
+  element.offsetWidth || element.offsetHeight || element.getClientRects().length
+);
+
+/**
+ * Find the elements that satisfy a condition descriptor
+ * @param {object} descriptor
+ * @param {string} descriptor.selector CSS selector
+ * @param {number} descriptor.minCount Minimum number of matching elements, defaults to 1
+ * @param {boolean} descriptor.visible Only match elements that are visible
+ * @param {boolean|string|RegExp} descriptor.text Trimmed text content to match,
+ *  true matches any non-empty text
+ * @param {string|object} descriptor.attribute Attribute name the element must have,
+ *  or an object with name and value to match
+ * @param {string|RegExp} descriptor.url Only match if the URL contains the string or
+ *  matches the RegExp
+ * @returns {array|boolean} Matching elements, true if only a URL was given or false
+ */
+const evaluateDescriptor = (descriptor) => {
+  const {
+    selector,
+    minCount,
+    visible,
+    text,
+    attribute,
+    url,
+  } = descriptor;
+
+  if (url) {
+    const { href } = window.location;
+    const urlMatches = typeof url === 'string' ? href.indexOf(url) > -1 : matchValue(href, url);
+    if (!urlMatches) return false;
+  }
+
+  if (!selector) return true;
+
+  const attributeName = typeof attribute === 'object' ? attribute.name : attribute;
+  const elements = Array.prototype.slice.call(document.querySelectorAll(selector))
+    .filter((element) => {
+      if (visible && !isElementVisible(element)) return false;
+      if (text !== undefined && !matchValue(element.textContent.trim(), text)) return false;
+      if (attributeName) {
+        if (!element.hasAttribute(attributeName)) return false;
+        if (typeof attribute === 'object' && attribute.value !== undefined
+          && !matchValue(element.getAttribute(attributeName), attribute.value)) {
+          return false;
+        }
+      }
+      return true;
+    });
+
+  const count = minCount !== undefined ? minCount : 1;
+  return elements.length && elements.length >= count ? elements : false;
+};
+
+/**
+ * Get a readable description of a polling condition for logs and error messages
+ * @param {*} condition
+ * @returns {string}
+ */
+const describeCondition = (condition) => {
+  if (typeof condition === 'function') {
+    return condition.name || condition.toString().replace(/\s+/g, ' ').substring(0, 80);
+  }
+  if (condition && typeof condition === 'object' && !(condition instanceof RegExp)) {
+    return JSON.stringify(condition, (key, value) => (value instanceof RegExp ? String(value) : value));
+  }
+  return String(condition);
+};
+
+/**
+ * @desc A single MutationObserver shared by everything waiting for elements to be inserted.
+ * Checks run on each batch of mutations so elements are found the moment they exist,
+ * and the observer disconnects once nothing is left to watch for
+ */
+const elementWatcher = {
+  /**
+   * The shared MutationObserver, only connected while there are watchers
+   * @type {MutationObserver}
+   */
+  observer: null,
+
+  /**
+   * Pending checks and their callbacks
+   * @type {array}
+   */
+  watchers: [],
+
+  /**
+   * Serialized config the observer is connected with
+   * @type {string}
+   */
+  config: null,
+
+  /**
+   * Run a check on every DOM mutation until it returns a truthy result
+   * Only inserted and removed nodes are observed unless a watcher needs more, as observing
+   * every attribute and text change on the page is expensive
+   * @param {function} check Returns a truthy result once the element exists
+   * @param {function} cb Callback that receives the result of the check
+   * @param {object} needs
+   * @param {array} needs.attributes Attribute names whose changes should rerun the check (optional)
+   * @param {boolean} needs.characterData Rerun the check on text changes (optional)
+   * @returns {function} Stops watching
+   */
+  watch(check, cb, needs) {
+    const result = check();
+    if (result) {
+      cb(result);
+      return () => {};
+    }
+
+    const watcher = { check, cb, needs: needs || {} };
+    this.watchers.push(watcher);
+    this.connect();
+
+    return () => this.unwatch(watcher);
+  },
+
+  /**
+   * Remove a watcher and disconnect the observer if none are left
+   * @param {object} watcher
+   */
+  unwatch(watcher) {
+    const index = this.watchers.indexOf(watcher);
+    if (index > -1) {
+      this.watchers.splice(index, 1);
+    }
+
+    if (!this.watchers.length) {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+        this.config = null;
+      }
+    } else {
+      this.connect();
+    }
+  },
+
+  /**
+   * Build the observer config needed by the pending watchers
+   * @returns {object}
+   */
+  getConfig() {
+    const config = { childList: true, subtree: true };
+    const attributeFilter = [];
+
+    this.watchers.forEach(({ needs }) => {
+      (needs.attributes || []).forEach((name) => {
+        if (attributeFilter.indexOf(name) === -1) attributeFilter.push(name);
+      });
+      if (needs.characterData) config.characterData = true;
+    });
+
+    if (attributeFilter.length) {
+      config.attributeFilter = attributeFilter.sort();
+    }
+    return config;
+  },
+
+  /**
+   * Connect the shared observer to the document, or reconnect it if the pending watchers
+   * need a different config
+   */
+  connect() {
+    const config = this.getConfig();
+    const key = JSON.stringify(config);
+    if (this.observer && this.config === key) return;
+
+    if (!this.observer) {
+      this.observer = new MutationObserver(() => this.checkAll());
+    } else {
+      this.observer.disconnect();
+    }
+    this.observer.observe(document.documentElement, config);
+    this.config = key;
+  },
+
+  /**
+   * Run every pending check and fire the callbacks of any that pass
+   */
+  checkAll() {
+    const watchers = this.watchers.slice();
+    for (let i = 0; i < watchers.length; i += 1) {
+      const watcher = watchers[i];
+      // Skip watchers removed by an earlier callback in this batch
+      if (this.watchers.indexOf(watcher) > -1) {
+        const result = watcher.check();
+        if (result) {
+          this.unwatch(watcher);
+          watcher.cb(result);
+        }
+      }
+    }
+  },
+};
+
 /**
  * @desc Check for the existence of elements or some other logic before running callback
+ * Conditions can be functions that must return a truthy value, CSS selectors, RegExps
+ * tested against the URL or descriptor objects such as
+ * { selector: '.product-tile', minCount: 12, visible: true } (see evaluateDescriptor).
+ * Selector and descriptor conditions resolve with the matched element(s)
  * @param {array} conditions
  * @param {function} callback
  * @param {options} userOptions
+ * @param {number} userOptions.timeout Time in ms before polling stops, 0 polls indefinitely
+ * @param {function} userOptions.onTimeout Called with the conditions that never passed
+ * @param {boolean} userOptions.observe Detect selector conditions with a MutationObserver
+ *  instead of timed polling. Function conditions are still polled
+ * @param {string} userOptions.name Label for the poller in debug logs and poller.inspect()
+ * @param {boolean} userOptions.debug Log the progress of each condition. Defaults to true
+ *  when debug mode is on for the page (see isDebugMode)
+ * @returns {object} Handle with cancel() to stop polling and getState()
  */
 const poller = (conditions, callback, userOptions) => {
   /**
@@ -52,6 +397,7 @@ const poller = (conditions, callback, userOptions) => {
     wait: 50,
     multiplier: 1.1,
     timeout: 0,
+    observe: false,
   };
 
   // Overwrite any default options with user supplied options
@@ -59,7 +405,8 @@ const poller = (conditions, callback, userOptions) => {
     options = mergeObjects(options, userOptions);
   }
 
-  const { multiplier, wait } = options;
+  const { multiplier, wait, observe } = options;
+  const debug = options.debug !== undefined ? options.debug : isDebugMode();
 
   /**
    * A date object created from the timeout option for easier comparison
@@ -79,10 +426,103 @@ const poller = (conditions, callback, userOptions) => {
    */
   const successfulConditions = [];
 
+  /**
+   * Conditions that have not passed yet
+   * @type {array}
+   */
+  const pendingConditions = conditions.slice();
+
+  /**
+   * Scheduled polling attempts for each condition, keyed by condition index
+   * @type {object}
+   */
+  const timers = {};
+
+  /**
+   * Functions to stop watching for conditions detected by the MutationObserver
+   * @type {array}
+   */
+  const unwatchers = [];
+
+  /**
+   * Timer that ends polling once the timeout has passed
+   * @type {number}
+   */
+  let timeoutTimer;
+
+  /**
+   * Current state of the poller: polling, complete, timedout or cancelled
+   * @type {string}
+   */
+  let state = 'polling';
+
+  /**
+   * Diagnostics for this poller, listed in poller.inspect() while it is in flight
+   * @type {object}
+   */
+  const globals = getGlobals();
+  globals.pollers = globals.pollers || [];
+  globals.pollerCount = (globals.pollerCount || 0) + 1;
+  const startTime = getNow();
+  const record = {
+    id: globals.pollerCount,
+    name: options.name || `poller ${globals.pollerCount}`,
+    state,
+    startTime,
+    conditions: conditions.map(condition => ({
+      condition: describeCondition(condition),
+      attempts: 0,
+      state: 'pending',
+      time: null,
+    })),
+  };
+  globals.pollers.push(record);
+
+  /**
+   * Log a debug message for this poller
+   * @param {string} method console method
+   * @param {...*} args
+   */
+  const log = (method, ...args) => {
+    if (debug && window.console) {
+      window.console[method](`[${record.name}]`, ...args);
+    }
+  };
+
+  /**
+   * Stop all scheduled polling attempts
+   * @param {string} newState
+   */
+  const stop = (newState) => {
+    state = newState;
+    Object.keys(timers).forEach((key) => {
+      clearTimeout(timers[key]);
+    });
+    unwatchers.forEach(unwatch => unwatch());
+    clearTimeout(timeoutTimer);
+
+    // Remove from the in-flight registry and log the final state of each condition
+    record.state = newState;
+    globals.pollers.splice(globals.pollers.indexOf(record), 1);
+    log(newState === 'complete' ? 'log' : 'warn', `${newState} after ${getNow() - startTime}ms`, record.conditions);
+  };
+
+  /**
+   * End polling and report the conditions that never passed
+   */
+  const handleTimeout = () => {
+    if (state !== 'polling') return;
+    stop('timedout');
+    if (typeof options.onTimeout === 'function') {
+      options.onTimeout(pendingConditions.slice());
+    }
+  };
+
   /**
    * Check if a condition has passed
    * Conditions are evaluated differently depending on the type
-   * Functions must return true and strings should be CSS selectors present in the DOM
+   * Functions must return true, strings should be CSS selectors present in the DOM,
+   * RegExps must match the URL and objects are condition descriptors
    * @param {*} condition
    * @returns {boolean}
    */
@@ -90,6 +530,10 @@ const poller = (conditions, callback, userOptions) => {
     const types = {
       function: () => condition(),
       string: () => document.querySelector(condition),
+      object: () => {
+        if (condition instanceof RegExp) return condition.test(window.location.href);
+        return condition ? evaluateDescriptor(condition) : true;
+      },
     };
 
     const evaluate = types[typeof condition];
@@ -102,37 +546,181 @@ const poller = (conditions, callback, userOptions) => {
    */
   const allConditionsPassed = () => successfulConditions.length === conditions.length;
 
+  /**
+   * Store the result of a passed condition and run the callback if it was the last one
+   * @param {number} index Index of the condition in the conditions array
+   * @param {*} result
+   */
+  const conditionPassed = (index, result) => {
+    const condition = conditions[index];
+    const conditionRecord = record.conditions[index];
+    conditionRecord.state = 'passed';
+    conditionRecord.time = getNow() - startTime;
+    log('log', `Passed: ${conditionRecord.condition} after ${conditionRecord.time}ms (${conditionRecord.attempts} attempts)`);
+
+    successfulConditions.push(result);
+    pendingConditions.splice(pendingConditions.indexOf(condition), 1);
+    if (allConditionsPassed()) {
+      stop('complete');
+      // Run the callback and pass the results as the first argument
+      callback(successfulConditions);
+    }
+  };
+
   /**
    * Recursive poll for a condition until it returns true
-   * @param {*} condition
+   * @param {number} index Index of the condition in the conditions array
    * @param {number} waitTime Time before next polling attempt
    * @param {boolean} skipWait Bypasses the wait period if true
    */
-  const pollForCondition = (condition, waitTime, skipWait) => {
+  const pollForCondition = (index, waitTime, skipWait) => {
+    // End recursion if polling has been stopped
+    if (state !== 'polling') {
+      return false;
+    }
+
     // End recursion if timeout has passed
     if (timeout && isTimedOut()) {
+      handleTimeout();
       return false;
     }
 
-    const result = evaluateCondition(condition);
+    const condition = conditions[index];
+    const conditionRecord = record.conditions[index];
 
-    if (result) {
-      successfulConditions.push(result);
-      if (allConditionsPassed()) {
-        // Run the callback and pass the results as the first argument
-        callback(successfulConditions);
+    /**
+     * Evaluate the condition and count the attempt
+     * @returns {*}
+     */
+    const attempt = () => {
+      conditionRecord.attempts += 1;
+      return evaluateCondition(condition);
+    };
+
+    // Selectors are picked up by the shared observer as soon as they are inserted
+    const isSelector = typeof condition === 'string' || !!(condition && condition.selector);
+    if (observe && isSelector) {
+      const attributes = [];
+      if (condition.attribute) {
+        attributes.push(typeof condition.attribute === 'object' ? condition.attribute.name : condition.attribute);
+      }
+      if (condition.visible) {
+        attributes.push('style', 'class', 'hidden');
       }
+
+      unwatchers.push(elementWatcher.watch(
+        attempt,
+        result => conditionPassed(index, result),
+        { attributes, characterData: condition.text !== undefined },
+      ));
+      return true;
+    }
+
+    const result = attempt();
+
+    if (result) {
+      conditionPassed(index, result);
     } else {
-      setTimeout(() => {
-        pollForCondition(condition, waitTime * multiplier);
+      timers[index] = setTimeout(() => {
+        pollForCondition(index, waitTime * multiplier);
       }, skipWait ? 0 : waitTime);
     }
+
+    return true;
   };
 
+  // Report the timeout as soon as it passes rather than on the next polling attempt
+  if (timeout) {
+    timeoutTimer = setTimeout(handleTimeout, options.timeout);
+  }
+
   // Start polling for all conditions
   for (let i = 0; i < conditions.length; i += 1) {
-    pollForCondition(conditions[i], wait, true);
+    pollForCondition(i, wait, true);
   }
+
+  // Nothing to wait for, e.g. an experiment without conditions
+  if (!conditions.length) {
+    stop('complete');
+    callback(successfulConditions);
+  }
+
+  return {
+    cancel: () => {
+      if (state === 'polling') stop('cancelled');
+    },
+    getState: () => state,
+  };
+};
+
+/**
+ * List the pollers that are still waiting for their conditions, across every experiment
+ * on the page. Useful in the console when an experiment hasn't fired
+ * @returns {array} Diagnostics for each in-flight poller and its conditions
+ */
+poller.inspect = () => (getGlobals().pollers || []).map(record => ({
+  id: record.id,
+  name: record.name,
+  state: record.state,
+  elapsed: getNow() - record.startTime,
+  conditions: record.conditions.map(condition => mergeObjects({}, condition)),
+}));
+
+/**
+ * @desc Promise based version of poller
+ * Resolves with the results of the conditions once they have all passed. If the timeout
+ * option is reached the promise is rejected with an error listing the conditions that
+ * never passed. Cancelling leaves the promise pending, so callers don't need to handle a
+ * rejection for polling they stopped themselves
+ * @param {array} conditions
+ * @param {object} userOptions Same options as poller
+ * @returns {Promise} Promise with an additional cancel() method to stop polling
+ */
+const pollerAsync = (conditions, userOptions) => {
+  const options = mergeObjects({}, userOptions || {});
+  const userOnTimeout = options.onTimeout;
+  let handle;
+
+  const promise = new Promise((resolve, reject) => {
+    options.onTimeout = (failedConditions) => {
+      const error = new Error(`Poller timed out after ${options.timeout}ms waiting for: ${failedConditions.map(describeCondition).join(', ')}`);
+      error.name = 'PollerTimeoutError';
+      error.conditions = failedConditions;
+
+      if (typeof userOnTimeout === 'function') userOnTimeout(failedConditions);
+      reject(error);
+    };
+
+    handle = poller(conditions, resolve, options);
+  });
+
+  /**
+   * Stop polling. The promise is never settled
+   */
+  promise.cancel = () => {
+    handle.cancel();
+  };
+
+  return promise;
+};
+
+/**
+ * @desc Wait for an element matching a selector to be inserted into the DOM
+ * Uses the shared MutationObserver so the element is found the moment it is inserted,
+ * rather than on the next timed polling attempt
+ * @param {string} selector CSS selector
+ * @param {object} userOptions Same options as poller
+ * @returns {Promise} Resolves with the element, with a cancel() method to stop waiting
+ */
+const waitForElement = (selector, userOptions) => {
+  const options = mergeObjects({}, userOptions || {});
+  options.observe = true;
+
+  const polling = pollerAsync([selector], options);
+  const promise = polling.then(results => results[0]);
+  promise.cancel = polling.cancel;
+
+  return promise;
 };
 
 /**
@@ -141,10 +729,39 @@ const poller = (conditions, callback, userOptions) => {
 const observer = {
   /**
    * A reference to all elements with active observers applied with observer.connect
+   * Each entry is [element, MutationObserver, experiment ID, timers]
    * @type {array}
    */
   active: [],
 
+  /**
+   * Store a reference to an active observer
+   * @param {HTMLElement} element
+   * @param {MutationObserver} mutationObserver
+   * @param {string} id Experiment ID the observer belongs to (optional)
+   * @param {object} timers Pending callback timers, cleared when the observer is pruned (optional)
+   */
+  register(element, mutationObserver, id, timers) {
+    this.active.push([element, mutationObserver, id, timers]);
+  },
+
+  /**
+   * Disconnect the given entries and remove them from observer.active
+   * A MutationObserver stops observing all of its elements when disconnected, so any other
+   * entries sharing one of the observers are removed too. Batched or debounced callbacks
+   * that haven't fired yet are cancelled
+   * @param {array} entries Entries from observer.active
+   */
+  prune(entries) {
+    const observers = entries.map(entry => entry[1]);
+    observers.forEach(mutationObserver => mutationObserver.disconnect());
+    this.active = this.active.filter((entry) => {
+      if (observers.indexOf(entry[1]) === -1) return true;
+      if (entry[3]) clearTimeout(entry[3].batch);
+      return false;
+    });
+  },
+
   /**
    * @method Observer.connect
    * @desc Simplifies creating a MutationObservers and provides a throttle setting
@@ -152,11 +769,19 @@ const observer = {
    * @param  {function} cb Callback to run on mutation
    * @param  {Object} userOptions Settings to modify the behaviour of Observer
    * @param  {number} userOptions.throttle Minimum time to wait before callback can be fired again
+   * @param  {boolean} userOptions.batch Collect every mutation in the throttle window and pass
+   *  them as an array to the callback on the trailing edge instead of the first mutation only
+   * @param  {number} userOptions.debounce Collect mutations and pass them as an array to the
+   *  callback once no more mutations have happened for this many ms. Overrides throttle
    * @param  {object} userOptions.config MutationObserver config object (see: https://developer.mozilla.org/en/docs/Web/API/MutationObserver#MutationObserverInit)
+   * @param  {string} userOptions.id Experiment ID to tag the observer with for
+   *  observer.list and observer.disconnectAll
    */
   connect: function connectMethod(elements, cb, userOptions) {
     let options = {
       throttle: 1000,
+      batch: false,
+      debounce: 0,
       config: {
         attributes: true,
         childList: true,
@@ -170,54 +795,161 @@ const observer = {
     }
 
     let blockCb;
+    let queuedMutations = [];
+    const timers = { batch: null };
+
+    /**
+     * Run the callback with all mutations collected since it last ran
+     */
+    const flush = () => {
+      const batchedMutations = queuedMutations;
+      queuedMutations = [];
+      timers.batch = null;
+      cb(elements, batchedMutations);
+    };
+
     const mutationObserver = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (!blockCb) {
-          blockCb = true;
-          cb(elements, mutation);
-          setTimeout(() => {
-            blockCb = false;
-          }, options.throttle);
+      if (options.debounce) {
+        // Restart the wait on every mutation so the callback sees the final state
+        queuedMutations = queuedMutations.concat(mutations);
+        clearTimeout(timers.batch);
+        timers.batch = setTimeout(flush, options.debounce);
+      } else if (options.batch) {
+        // Fire on the trailing edge of the throttle window
+        queuedMutations = queuedMutations.concat(mutations);
+        if (!timers.batch) {
+          timers.batch = setTimeout(flush, options.throttle);
         }
-      });
+      } else {
+        mutations.forEach((mutation) => {
+          if (!blockCb) {
+            blockCb = true;
+            cb(elements, mutation);
+            setTimeout(() => {
+              blockCb = false;
+            }, options.throttle);
+          }
+        });
+      }
     });
 
     if (elements.jquery) {
       // jQuery object
       for (let i = 0; i < elements.length; i += 1) {
         mutationObserver.observe(elements[i], options.config);
-        this.active.push([elements[i], mutationObserver]);
+        this.register(elements[i], mutationObserver, options.id, timers);
       }
     } else {
       // HTMLElement
       mutationObserver.observe(elements, options.config);
-      this.active.push([elements, mutationObserver]);
+      this.register(elements, mutationObserver, options.id, timers);
     }
 
     return mutationObserver;
   },
 
   /**
-   * @method Observer.disconnect
-   * @desc Allows MutationObservers connected with Observer.connect to easily be removed.
-   * All MutationObservers will be removed from specified element(s).
-   * @param  {object} elements - the elements to remove all MutationObservers from
+   * Number of onAdded watchers created, used to give each its own marker property
+   * @type {number}
    */
-  disconnect: function disconnectMethod(elements) {
-    const { active } = this;
+  addedCount: 0,
 
-    // Removes observers from active element
-    function removeObservers(element) {
-      for (let i = 0; i < active.length; i += 1) {
-        if (element === active[i][0]) {
-          active[i][1].disconnect();
-        }
-      }
+  /**
+   * @method Observer.onAdded
+   * @desc Run a callback once for every element matching a selector that is inserted inside
+   * the root element(s), e.g. new product tiles from infinite scroll or filtering.
+   * Elements are marked when processed so the callback never runs twice for the same node
+   * @param  {Object} root The element(s) to watch for inserted nodes
+   * @param  {string} selector CSS selector the inserted elements must match
+   * @param  {function} cb Callback to run with each matching element
+   * @param  {Object} userOptions Settings to modify the behaviour of onAdded
+   * @param  {boolean} userOptions.existing Also run the callback for matching elements
+   *  already inside the root
+   * @param  {string} userOptions.id Experiment ID to tag the observer with
+   * @returns {MutationObserver}
+   */
+  onAdded: function onAddedMethod(root, selector, cb, userOptions) {
+    let options = {
+      existing: true,
+    };
+
+    // Overwrite any default options with user supplied options
+    if (userOptions) {
+      options = mergeObjects(options, userOptions);
     }
 
-    // For each element in argument check if the node exists in active
-    // If it does, disconnect the MutationObserver
-    if (elements.length) {
+    this.addedCount += 1;
+    const marker = `ucAdded${this.addedCount}`;
+    const roots = root.jquery ? Array.prototype.slice.call(root) : [root];
+
+    /**
+     * Run the callback for a matching element if it hasn't been processed already
+     * @param {HTMLElement} element
+     */
+    const process = (element) => {
+      if (element[marker]) return;
+      element[marker] = true;
+      cb(element);
+    };
+
+    /**
+     * Process a node if it matches the selector, and any matching descendants
+     * @param {Node} node
+     */
+    const processNode = (node) => {
+      if (node.nodeType !== 1) return;
+
+      const matches = node.matches || node.msMatchesSelector || node.webkitMatchesSelector;
+      if (matches.call(node, selector)) {
+        process(node);
+      }
+
+      const descendants = node.querySelectorAll(selector);
+      for (let i = 0; i < descendants.length; i += 1) {
+        process(descendants[i]);
+      }
+    };
+
+    const mutationObserver = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        for (let i = 0; i < mutation.addedNodes.length; i += 1) {
+          processNode(mutation.addedNodes[i]);
+        }
+      });
+    });
+
+    roots.forEach((element) => {
+      if (options.existing) {
+        const existing = element.querySelectorAll(selector);
+        for (let i = 0; i < existing.length; i += 1) {
+          process(existing[i]);
+        }
+      }
+
+      mutationObserver.observe(element, { childList: true, subtree: true });
+      this.register(element, mutationObserver, options.id);
+    });
+
+    return mutationObserver;
+  },
+
+  /**
+   * @method Observer.disconnect
+   * @desc Allows MutationObservers connected with Observer.connect to easily be removed.
+   * All MutationObservers will be removed from specified element(s).
+   * @param  {object} elements - the elements to remove all MutationObservers from
+   */
+  disconnect: function disconnectMethod(elements) {
+    const self = this;
+
+    // Removes observers from active element
+    function removeObservers(element) {
+      self.prune(self.active.filter(entry => entry[0] === element));
+    }
+
+    // For each element in argument check if the node exists in active
+    // If it does, disconnect the MutationObserver
+    if (elements.length) {
       for (let i = 0; i < elements.length; i += 1) {
         removeObservers(elements[i]);
       }
@@ -225,6 +957,27 @@ const observer = {
       removeObservers(elements);
     }
   },
+
+  /**
+   * @method Observer.list
+   * @desc Get the active observers created by an experiment
+   * @param  {string} id Experiment ID, or leave out to list every active observer
+   * @returns {array} Entries from observer.active
+   */
+  list: function listMethod(id) {
+    if (id === undefined) return this.active.slice();
+    return this.active.filter(entry => entry[2] === id);
+  },
+
+  /**
+   * @method Observer.disconnectAll
+   * @desc Disconnect every observer created by an experiment, e.g. when a variation is
+   * turned off after navigating in a single page app
+   * @param  {string} id Experiment ID, or leave out to disconnect every active observer
+   */
+  disconnectAll: function disconnectAllMethod(id) {
+    this.prune(this.list(id));
+  },
 };
 
 /**
@@ -272,304 +1025,2988 @@ const hoverDelay = (elements, cb, delay) => {
 };
 
 /**
- * @desc FullStory tagging
- * @param {string} experimentStr Experiment ID to show in Fullstory
- * @param {string} variationStr Variation number to show in Fullstory
+ * @desc Tag session recordings with the experiment and variation so recordings can be
+ * filtered by them. Each adapter waits for its own tool to load
  */
-const fullStory = (experimentStr, variationStr) => {
-  pollerLite([() => {
-    const fs = window.FS;
-    if (fs && fs.setUserVars) return true;
-  }], () => {
-    window.FS.setUserVars({
-      experiment_str: experimentStr,
-      variation_str: variationStr,
-    });
-  }, { multiplier: 1.2, timeout: 0 });
-};
+const sessionRecording = {
+  /**
+   * Time in ms to wait for each tool to load, 0 waits indefinitely
+   * @type {number}
+   */
+  timeout: 10000,
 
-/**
- * @desc Universal GA event sender that works on all client implementations of GA
- * Polls for ga to exist and gets the tracker name from ga.getAll() to ensure
- * events are always sent
- */
-const events = {
-  trackerName: false,
-  propertyId: false,
-  analyticsReference: 'ga',
-  eventCache: [],
-  setDefaultCategory(category) {
-    this.category = category;
-    return this;
-  },
-  setPropertyId(propertyId) {
-    // If set, will look for tracker matching given property ID
-    this.propertyId = propertyId;
-  },
-  setTrackerName(trackerName) {
-    this.trackerName = trackerName;
+  /**
+   * Adapters for each tool, with isReady() and tag(experiment, variation)
+   * @type {object}
+   */
+  adapters: {
+    fullstory: {
+      isReady: () => !!(window.FS && window.FS.setUserVars),
+      tag: (experiment, variation) => {
+        window.FS.setUserVars({
+          experiment_str: experiment,
+          variation_str: variation,
+        });
+      },
+    },
+
+    hotjar: {
+      isReady: () => typeof window.hj === 'function',
+      tag: (experiment, variation) => {
+        window.hj('event', `${experiment}_${variation}`);
+        window.hj('tagRecording', [`${experiment}: ${variation}`]);
+      },
+    },
+
+    clarity: {
+      isReady: () => typeof window.clarity === 'function',
+      tag: (experiment, variation) => {
+        window.clarity('set', experiment, String(variation));
+      },
+    },
+
+    mouseflow: {
+      isReady: () => !!(window._mfq && window._mfq.push),
+      tag: (experiment, variation) => {
+        window._mfq.push(['tag', `${experiment}: ${variation}`]);
+        window._mfq.push(['setVariable', experiment, String(variation)]);
+      },
+    },
+
+    contentsquare: {
+      isReady: () => !!(window._uxa && window._uxa.push),
+      tag: (experiment, variation) => {
+        window._uxa.push(['trackDynamicVariable', { key: experiment, value: String(variation) }]);
+      },
+    },
   },
-  useLegacyTracker() {
-    this.analyticsReference = '_gaq';
+
+  /**
+   * Add or replace an adapter
+   * @param {string} name
+   * @param {object} adapter Object with isReady() and tag(experiment, variation)
+   */
+  addAdapter(name, adapter) {
+    this.adapters[name] = adapter;
   },
 
   /**
-   * Send an event
-   * @param {string} evCategory
-   * @param {string} evAction
-   * @param {string} evLabel
+   * Tag the session in every tool that loads on the page
+   * @param {string} experiment Experiment ID
+   * @param {string|number} variation Variation name or number
    * @param {object} userOptions
+   * @param {array} userOptions.adapters Names of the adapters to use, defaults to all
+   * @param {number} userOptions.timeout Time in ms to wait for each tool, defaults to
+   *  sessionRecording.timeout
+   * @returns {object} Pollers for each adapter, keyed by name
    */
-  send(evCategory, evAction, evLabel, userOptions) {
-    const options = userOptions || {};
-    const category = evCategory || this.category;
-    const action = evAction;
-    const label = evLabel;
-
-    if (typeof options === 'object' && options.sendOnce) {
-      const eventID = `${category}${action}${label}`;
-      // Check eventCache to see if this has already been sent
-      if (this.eventCache.indexOf(eventID) > -1) {
-        return false;
-      } else {
-        // Store event in cache
-        this.eventCache.push(eventID);
-      }
-    }
+  tagSession(experiment, variation, userOptions) {
+    const options = mergeObjects({
+      adapters: Object.keys(this.adapters),
+      timeout: this.timeout,
+    }, userOptions || {});
+    const pollers = {};
 
-    const self = this;
-    const fire = (tracker) => {
-      if (self.analyticsReference === '_gaq') {
-        window._gaq.push(['_trackEvent', category, action, label, null, (typeof options.nonInteraction !== 'undefined' ? options.nonInteraction : true)]);
-      } else {
-        window[self.analyticsReference](`${tracker}.send`, 'event', category, action, label, { nonInteraction: (options.nonInteraction ? options.nonInteraction : true) });
-      }
-    };
+    options.adapters.forEach((name) => {
+      const adapter = this.adapters[name];
+      if (!adapter) return;
 
-    if (self.trackerName) {
-      fire(self.trackerName);
-    } else {
-      pollerLite([() => {
+      pollers[name] = poller([adapter.isReady], () => {
         try {
-          if (self.analyticsReference === '_gaq') {
-            return !!window._gaq;
-          } else {
-            const trackers = window[self.analyticsReference].getAll();
-            if (trackers && trackers.length) {
-              return true;
-            } else {
-              return false;
-            }
-          }
-        } catch (err) {}
-      }], () => {
-        if (window[self.analyticsReference].getAll) {
-          const trackers = window[self.analyticsReference].getAll();
-
-          if (self.propertyId) {
-            for (let i = 0; i < trackers.length; i += 1) {
-              const tracker = trackers[i];
-              if (tracker.get('trackingId') === self.propertyId) {
-                self.trackerName = tracker.get('name');
-                break;
-              }
-            }
-          } else {
-            self.trackerName = trackers[0].get('name');
+          adapter.tag(experiment, variation);
+        } catch (err) {
+          if (isDebugMode() && window.console) {
+            window.console.warn(`[sessionRecording] ${name} failed to tag`, err);
           }
-
-          fire(self.trackerName);
         }
-      });
-    }
+      }, { multiplier: 1.2, timeout: options.timeout, name: `${name} session tag` });
+    });
+
+    return pollers;
   },
 };
 
 /**
- * Load a script wrapped in a promise. Any additional requests for the same script
- * following the first attempt will instead return the original promise.
- * This is useful to avoid sending unnecessary network requests when a script
- * is required across multiple experiments
- * @param {string} url
- * @param {boolean} options.async
- * @param {boolean} options.defer
- * @returns {Promise}
+ * @desc FullStory tagging
+ * @param {string} experimentStr Experiment ID to show in Fullstory
+ * @param {string} variationStr Variation number to show in Fullstory
  */
-const globalGetScript = (url, options) => {
-  window.ucGlobals = window.ucGlobals || {};
-  const { ucGlobals } = window;
+const fullStory = (experimentStr, variationStr) => {
+  sessionRecording.tagSession(experimentStr, variationStr, { adapters: ['fullstory'], timeout: 0 });
+};
 
-  ucGlobals.requests = ucGlobals.requests || {};
-  const { requests } = ucGlobals;
+/**
+ * Convert a string to a valid GA4 event name
+ * GA4 event names must start with a letter, only contain letters, numbers and underscores
+ * and be no longer than 40 characters. Names that don't start with a letter, e.g. '404',
+ * are prefixed with 'event_'
+ * @param {string} str
+ * @returns {string}
+ */
+const toGA4EventName = (str) => {
+  const name = String(str)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
 
-  const opts = options || {};
+  return (/^[a-z]/.test(name) ? name : `event_${name}`)
+    .substring(0, 40)
+    .replace(/_+$/, '');
+};
+
+/**
+ * Check if an event should be sent as a non-interaction event, which is the default
+ * @param {object} options Options passed to events.send
+ * @returns {boolean}
+ */
+const isNonInteraction = options => (
+  typeof options.nonInteraction !== 'undefined' ? options.nonInteraction : true
+);
+
+/**
+ * Get the value used to identify an experiment and variation in analytics tools
+ * @param {object} context Experiment context set with events.setExperimentContext
+ * @returns {string}
+ */
+const getContextValue = context => `${context.id}:${context.variation}`;
+
+/**
+ * Check if an event has a numeric value, e.g. revenue for a conversion
+ * @param {object} options Options passed to events.send
+ * @returns {boolean}
+ */
+const hasValue = options => typeof options.value === 'number' && !isNaN(options.value);
 
+/**
+ * @desc Analytics destinations for events.send
+ * Each factory returns an adapter with a name, an isReady() check that is polled before
+ * anything is sent and a send(event) method. Events are objects with category, action,
+ * label and options properties
+ */
+const analyticsAdapters = {
   /**
-   * Create a script and resolve the promise on load
-   * @returns {Promise}
+   * Universal Analytics. Gets the tracker name from ga.getAll(), matching the property ID
+   * given to events.setPropertyId if there is one
+   * @param {object} userOptions
+   * @param {string} userOptions.reference Global name of ga, defaults to
+   *  events.analyticsReference
+   * @returns {object} Adapter
    */
-  const createGlobalPromise = () => new Promise((resolve, reject) => {
-    let script = document.createElement('script');
-    script.async = opts.async instanceof Boolean ? opts.async : true;
-    script.defer = opts.defer instanceof Boolean ? opts.defer : true;
+  ga(userOptions) {
+    const options = userOptions || {};
+    const getGA = () => window[options.reference || events.analyticsReference];
 
-    const onloadHander = (_, isAbort) => {
-      if (isAbort || !script.readyState || /loaded|complete/.test(script.readyState)) {
-        script.onload = null;
-        script.onreadystatechange = null;
-        script = undefined;
+    /**
+     * Find the name of the tracker to send events with
+     * @returns {string}
+     */
+    const getTrackerName = () => {
+      const trackers = getGA().getAll();
 
-        if (isAbort) {
-          reject();
-        } else {
-          resolve();
+      if (events.propertyId) {
+        for (let i = 0; i < trackers.length; i += 1) {
+          const tracker = trackers[i];
+          if (tracker.get('trackingId') === events.propertyId) {
+            return tracker.get('name');
+          }
         }
       }
+
+      return trackers[0].get('name');
     };
 
-    script.onload = onloadHander;
-    script.onreadystatechange = onloadHander;
+    return {
+      name: 'ga',
+      isReady: () => {
+        if (events.trackerName) return true;
+        const trackers = getGA().getAll();
+        return !!(trackers && trackers.length);
+      },
+      send: (event) => {
+        if (!events.trackerName) {
+          events.trackerName = getTrackerName();
+        }
+        const fields = { nonInteraction: isNonInteraction(event.options) };
+        if (event.options.transport) {
+          fields.transport = event.options.transport;
+        }
 
-    script.src = url;
-    document.body.insertAdjacentElement('beforeend', script);
-  });
+        // GA only accepts whole numbers as event values
+        if (hasValue(event.options)) {
+          fields.eventValue = Math.round(event.options.value);
+        }
 
-  const isPromise = requests[url] instanceof Promise;
-  if (!isPromise) {
-    requests[url] = createGlobalPromise();
-  }
+        // Custom dimensions from the experiment context
+        const { context } = event;
+        if (context && context.dimension) {
+          if (typeof context.dimension === 'object') {
+            fields[`dimension${context.dimension.experiment}`] = context.id;
+            fields[`dimension${context.dimension.variation}`] = context.variation;
+          } else {
+            fields[`dimension${context.dimension}`] = getContextValue(context);
+          }
+        }
+        getGA()(`${events.trackerName}.send`, 'event', event.category, event.action, event.label, fields);
+      },
+    };
+  },
 
-  return requests[url];
-};
+  /**
+   * Legacy ga.js tracker using the _gaq queue
+   * @returns {object} Adapter
+   */
+  gaLegacy() {
+    return {
+      name: 'gaLegacy',
+      isReady: () => !!window._gaq,
+      send: (event) => {
+        const value = hasValue(event.options) ? Math.round(event.options.value) : null;
+        window._gaq.push(['_trackEvent', event.category, event.action, event.label, value, isNonInteraction(event.options)]);
+      },
+    };
+  },
 
-/**
- * Run a callback when an element is in view
- * @param {HTMLElement} element The element you want to track viewability of
- * @param {function} cb Callback function to run once the element is in full view
- * @param {Object} options Settings for the tracker
- * @param {boolean} options.removeOnView Removes scroll tracking when element is in view
- * @param {number} options.throttle Custom throttle timing
- */
-const viewabilityTracker = (element, cb, options) => {
-  let throttledCheckElement;
-  const stageHeight = Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
-  options = options || {
-    zeroHeightElementsNotInView: true, /* Zero height elements are usually hidden */
-    throttle: 250, /* Scroll throttle delay */
-    allElementHasToBeInView: true, /* Otherwise only top of element has to be in view */
-    removeOnView: true, /* cb fires once only */
-  };
-  const delay = options.throttle || 250;
+  /**
+   * GA4 with gtag.js, or as GTM custom events through the dataLayer if gtag isn't available
+   * @param {object} userOptions Defaults to the settings given to events.useGA4
+   * @param {string|function} userOptions.eventName How GA4 event names are created:
+   *  'action' uses the event action, 'category_action' joins the category and action,
+   *  any other string is used as a fixed event name for every event, or a function
+   *  receiving (category, action, label) can return the name
+   * @param {string} userOptions.sendTo Measurement ID to send events to. Falls back to
+   *  the ID given to events.setPropertyId
+   * @returns {object} Adapter
+   */
+  ga4(userOptions) {
+    /**
+     * Get the GA4 event name and parameters for an event
+     * @param {object} event
+     * @returns {object} name and params
+     */
+    const getGA4Event = (event) => {
+      const { eventName, sendTo } = mergeObjects(mergeObjects({}, events.ga4), userOptions || {});
+      const { category, action, label } = event;
+      let name;
+      if (typeof eventName === 'function') {
+        name = eventName(category, action, label);
+      } else if (eventName === 'action') {
+        name = toGA4EventName(action);
+      } else if (eventName === 'category_action') {
+        name = toGA4EventName(`${category}_${action}`);
+      } else {
+        name = eventName;
+      }
 
-  const elementIsInView = (element, stageHeight) => {
-    const elementBoundingBox = element.getBoundingClientRect();
-    if (options.zeroHeightElementsNotInView && elementBoundingBox.height == 0) {
-      return false; 
-    }
-    const elementsTopY = elementBoundingBox.top;
-    const elementsBottomY = elementBoundingBox.top + elementBoundingBox.height;
+      const params = {
+        event_category: category,
+        event_action: action,
+        event_label: label,
+        non_interaction: isNonInteraction(event.options),
+      };
 
-    if (options.allElementHasToBeInView) {
-      return elementsTopY >= 0 && elementsBottomY < stageHeight;
-    } else {
-      return elementsTopY <= stageHeight;
-    }
-  };
+      const measurementId = sendTo || events.propertyId;
+      if (measurementId) {
+        params.send_to = measurementId;
+      }
 
-  const checkElement = () => {
-    if (elementIsInView(element, stageHeight)) {
-      cb();
-      if (options.removeOnView) {
-        window.removeEventListener('scroll', throttledCheckElement);
+      if (event.options.transport) {
+        params.transport_type = event.options.transport;
       }
-    }
-  };
 
-  throttledCheckElement = throttle(checkElement, delay);
-  window.addEventListener('scroll', throttledCheckElement);
-  checkElement();
-};
+      if (hasValue(event.options)) {
+        params.value = event.options.value;
+        if (event.options.currency) {
+          params.currency = event.options.currency;
+        }
+      }
 
-/** Class for native JS animations */
-class Animation {
-  /**
-   * Animate the style property of an element
+      if (event.context) {
+        params.experiment_id = event.context.id;
+        params.variation_id = event.context.variation;
+      }
+
+      return { name, params };
+    };
+
+    return {
+      name: 'ga4',
+      isReady: () => typeof window.gtag === 'function' || !!window.dataLayer,
+      send: (event) => {
+        const ga4Event = getGA4Event(event);
+        const { context } = event;
+        if (typeof window.gtag === 'function') {
+          // The user properties last set are shared by every adapter instance on the page,
+          // so each is only set again if it changes
+          const globals = getGlobals();
+          globals.ga4UserProperties = globals.ga4UserProperties || {};
+          const { ga4UserProperties } = globals;
+
+          if (context && context.userProperty
+            && ga4UserProperties[context.userProperty] !== getContextValue(context)) {
+            ga4UserProperties[context.userProperty] = getContextValue(context);
+            const userProperties = {};
+            userProperties[context.userProperty] = ga4UserProperties[context.userProperty];
+            window.gtag('set', 'user_properties', userProperties);
+          }
+          window.gtag('event', ga4Event.name, ga4Event.params);
+        } else {
+          // GTM without gtag.js, push a custom event for a GA4 event tag to pick up
+          window.dataLayer.push(mergeObjects({ event: ga4Event.name }, ga4Event.params));
+        }
+      },
+    };
+  },
+
+  /**
+   * Push events to the GTM dataLayer for tags configured in the container
+   * @param {object} userOptions
+   * @param {string} userOptions.eventName Value of the event key, defaults to 'uc_event'
+   * @param {string} userOptions.reference Global name of the dataLayer
+   * @returns {object} Adapter
+   */
+  dataLayer(userOptions) {
+    const options = mergeObjects({
+      eventName: 'uc_event',
+      reference: 'dataLayer',
+    }, userOptions || {});
+
+    return {
+      name: 'dataLayer',
+      isReady: () => !!window[options.reference],
+      send: (event) => {
+        const data = {
+          event: options.eventName,
+          eventCategory: event.category,
+          eventAction: event.action,
+          eventLabel: event.label,
+          nonInteraction: isNonInteraction(event.options),
+        };
+
+        if (hasValue(event.options)) {
+          data.eventValue = event.options.value;
+        }
+
+        if (event.context) {
+          data.experimentId = event.context.id;
+          data.variationId = event.context.variation;
+        }
+
+        window[options.reference].push(data);
+      },
+    };
+  },
+
+  /**
+   * Adobe Analytics custom link tracking with s.tl()
+   * @param {object} userOptions
+   * @param {string} userOptions.reference Global name of the s object
+   * @param {string} userOptions.linkType s.tl link type, defaults to 'o' (custom link)
+   * @param {string} userOptions.eVar eVar to store the event in, e.g. 'eVar10' (optional)
+   * @returns {object} Adapter
+   */
+  adobe(userOptions) {
+    const options = mergeObjects({
+      reference: 's',
+      linkType: 'o',
+      eVar: false,
+    }, userOptions || {});
+
+    return {
+      name: 'adobe',
+      isReady: () => {
+        const s = window[options.reference];
+        return !!(s && typeof s.tl === 'function');
+      },
+      send: (event) => {
+        const s = window[options.reference];
+        const linkName = [event.category, event.action, event.label].filter(part => part).join(' | ');
+
+        if (options.eVar) {
+          s[options.eVar] = linkName;
+          s.linkTrackVars = options.eVar;
+        }
+
+        s.tl(true, options.linkType, linkName);
+      },
+    };
+  },
+
+  /**
+   * Segment analytics.track()
+   * @param {object} userOptions
+   * @param {string} userOptions.reference Global name of analytics.js
+   * @returns {object} Adapter
+   */
+  segment(userOptions) {
+    const options = mergeObjects({
+      reference: 'analytics',
+    }, userOptions || {});
+
+    return {
+      name: 'segment',
+      isReady: () => {
+        const analytics = window[options.reference];
+        return !!(analytics && typeof analytics.track === 'function');
+      },
+      send: (event) => {
+        const properties = {
+          category: event.category,
+          label: event.label,
+          nonInteraction: isNonInteraction(event.options),
+        };
+
+        if (hasValue(event.options)) {
+          properties.value = event.options.value;
+          properties.currency = event.options.currency;
+        }
+
+        if (event.context) {
+          properties.experiment_id = event.context.id;
+          properties.variation_id = event.context.variation;
+        }
+
+        window[options.reference].track(event.action, properties);
+      },
+    };
+  },
+
+  /**
+   * POST events as JSON to an endpoint with navigator.sendBeacon, which completes
+   * even if the page is unloading
+   * @param {object} userOptions
+   * @param {string} userOptions.url Endpoint to send events to
+   * @returns {object} Adapter
+   */
+  beacon(userOptions) {
+    const options = userOptions || {};
+
+    return {
+      name: 'beacon',
+      isReady: () => !!(window.navigator && window.navigator.sendBeacon),
+      send: (event) => {
+        window.navigator.sendBeacon(options.url, JSON.stringify({
+          category: event.category,
+          action: event.action,
+          label: event.label,
+          nonInteraction: isNonInteraction(event.options),
+          value: hasValue(event.options) ? event.options.value : undefined,
+          experimentId: event.context ? event.context.id : undefined,
+          variationId: event.context ? event.context.variation : undefined,
+          url: window.location.href,
+          time: getNow(),
+        }));
+      },
+    };
+  },
+};
+
+/**
+ * @desc Universal event sender that works on all client implementations of GA
+ * and any other analytics destinations registered with events.addAdapter.
+ * Polls for each destination to be ready, e.g. gets the tracker name from ga.getAll(),
+ * to ensure events are always sent
+ */
+const events = {
+  trackerName: false,
+  propertyId: false,
+  analyticsReference: 'ga',
+  eventCache: {},
+  adapterList: [],
+  queue: false,
+  queuedIds: [],
+  dryRun: false,
+  logRecorded: false,
+  recorded: [],
+  contexts: {},
+  ga4: {
+    eventName: 'action',
+    sendTo: false,
+  },
+  setDefaultCategory(category) {
+    this.category = category;
+    return this;
+  },
+  setPropertyId(propertyId) {
+    // If set, will look for tracker matching given property ID
+    this.propertyId = propertyId;
+  },
+  setTrackerName(trackerName) {
+    this.trackerName = trackerName;
+  },
+  useLegacyTracker() {
+    this.analyticsReference = '_gaq';
+  },
+
+  /**
+   * Declare an experiment and variation running on the page. Events sent afterwards for the
+   * experiment, by category or the experiment option, carry them. The first experiment ID
+   * becomes the default category and the session is tagged in session recording tools,
+   * see sessionRecording
+   * @param {object} context
+   * @param {string} context.id Experiment ID
+   * @param {string} context.variation Variation name or number
+   * @param {number|object} context.dimension GA custom dimension index to send
+   *  'id:variation' to, or an object with separate experiment and variation indexes
+   * @param {string} context.userProperty GA4 user property to set to 'id:variation'
+   * @param {boolean} context.tagSession Tag session recordings, defaults to true
+   */
+  setExperimentContext(context) {
+    this.contexts[context.id] = context;
+
+    if (!this.category) {
+      this.setDefaultCategory(context.id);
+    }
+
+    if (context.tagSession !== false) {
+      sessionRecording.tagSession(context.id, context.variation);
+    }
+
+    return this;
+  },
+
+  /**
+   * @param {string} experiment Experiment ID
+   * @returns {object} Context set for the experiment with setExperimentContext, or null
+   */
+  getContext(experiment) {
+    return this.contexts[experiment] || null;
+  },
+
+  /**
+   * Send events to GA4 with gtag.js, or as GTM custom events through the dataLayer
+   * if gtag isn't available. Options are the same as analyticsAdapters.ga4
+   * @param {object} userOptions
+   */
+  useGA4(userOptions) {
+    this.analyticsReference = 'gtag';
+    if (userOptions) {
+      this.ga4 = mergeObjects(this.ga4, userOptions);
+    }
+    return this;
+  },
+
+  /**
+   * Register an analytics destination. Every event sent is passed to all registered adapters.
+   * If none are registered events go to GA, as set up with useLegacyTracker/useGA4
+   * @param {string|object|function} adapter Name of one of the analyticsAdapters,
+   *  an adapter object with name, isReady and send, or a function to call with each event
+   * @param {object} userOptions Options for the analyticsAdapters factory
+   * @throws {Error} If the adapter name isn't one of the analyticsAdapters
+   */
+  addAdapter(adapter, userOptions) {
+    let instance;
+    if (typeof adapter === 'string') {
+      if (typeof analyticsAdapters[adapter] !== 'function') {
+        throw new Error(`Unknown analytics adapter "${adapter}", expected one of: ${Object.keys(analyticsAdapters).join(', ')}`);
+      }
+      instance = analyticsAdapters[adapter](userOptions);
+    } else if (typeof adapter === 'function') {
+      instance = {
+        name: adapter.name || 'custom',
+        isReady: () => true,
+        send: adapter,
+      };
+    } else {
+      instance = mergeObjects({
+        name: 'custom',
+        isReady: () => true,
+      }, adapter);
+    }
+
+    this.adapterList.push(instance);
+    return this;
+  },
+
+  /**
+   * Remove registered adapters
+   * @param {string} name Name of the adapter to remove, or leave out to remove all
+   */
+  removeAdapter(name) {
+    this.adapterList = name === undefined ? [] : this.adapterList.filter(adapter => adapter.name !== name);
+    return this;
+  },
+
+  /**
+   * Get the adapters events are sent to
+   * @returns {array}
+   */
+  getAdapters() {
+    if (this.adapterList.length) {
+      return this.adapterList;
+    }
+
+    const defaultAdapters = {
+      _gaq: 'gaLegacy',
+      gtag: 'ga4',
+    };
+    return [analyticsAdapters[defaultAdapters[this.analyticsReference] || 'ga']()];
+  },
+
+  /**
+   * Hold events in sessionStorage until they have been sent to every adapter. Any events
+   * left unsent by the previous page, e.g. sent just before a link click, are replayed
+   * @param {object} userOptions
+   * @param {string} userOptions.namespace Keeps the queue separate from other experiments,
+   *  defaults to the default category, e.g. the experiment ID set by setExperimentContext
+   * @param {number} userOptions.maxAge Time in ms after which unsent events are dropped
+   * @throws {Error} If there is no namespace or default category
+   */
+  useQueue(userOptions) {
+    const queue = mergeObjects({
+      maxAge: 30 * 60 * 1000,
+    }, userOptions || {});
+    queue.namespace = queue.namespace || this.category;
+    if (!queue.namespace) {
+      throw new Error('events.useQueue needs a namespace, or a default category set with setDefaultCategory or setExperimentContext');
+    }
+
+    this.queue = queue;
+    this.replayQueue();
+    return this;
+  },
+
+  /**
+   * @returns {string} sessionStorage key of the queue
+   */
+  getQueueKey() {
+    return `ucEventQueue_${this.queue.namespace}`;
+  },
+
+  /**
+   * Get the queued events that haven't expired
+   * @returns {array}
+   */
+  getQueue() {
+    if (!this.queue) return [];
+    const minTime = getNow() - this.queue.maxAge;
+    return (storage.get(this.getQueueKey()) || []).filter(entry => entry.time > minTime);
+  },
+
+  /**
+   * Add an event to the queue
+   * @param {object} event
+   * @param {array} adapters Adapters the event still has to be sent to
+   * @returns {string} ID of the queue entry
+   */
+  addToQueue(event, adapters) {
+    const id = `${getNow()}-${Math.random().toString(36).substring(2)}`;
+    const queue = this.getQueue();
+    queue.push({
+      id,
+      time: getNow(),
+      event,
+      adapters: adapters.map(adapter => adapter.name),
+    });
+    storage.set(this.getQueueKey(), queue);
+    this.queuedIds.push(id);
+    return id;
+  },
+
+  /**
+   * Mark a queued event as sent to an adapter, removing it once sent to all of them
+   * @param {string} id ID of the queue entry
+   * @param {string} adapterName
+   */
+  removeFromQueue(id, adapterName) {
+    const queue = this.getQueue().filter((entry) => {
+      if (entry.id !== id) return true;
+      entry.adapters = entry.adapters.filter(name => name !== adapterName);
+      return entry.adapters.length > 0;
+    });
+    storage.set(this.getQueueKey(), queue);
+  },
+
+  /**
+   * Send queued events left over from previous pages to the adapters they are waiting for
+   * Nothing is replayed in dry run mode
+   */
+  replayQueue() {
+    if (this.dryRun) return;
+
+    const adapters = this.getAdapters();
+
+    this.getQueue().forEach((entry) => {
+      // Events queued on this page are already waiting for their adapters
+      if (this.queuedIds.indexOf(entry.id) > -1) return;
+      this.queuedIds.push(entry.id);
+
+      adapters.forEach((adapter) => {
+        if (entry.adapters.indexOf(adapter.name) > -1) {
+          this.dispatch(adapter, entry.event, () => this.removeFromQueue(entry.id, adapter.name));
+        }
+      });
+    });
+  },
+
+  /**
+   * Record events instead of sending them, for testing experiments and components
+   * without analytics on the page. See getRecorded()
+   * @param {boolean} enabled
+   * @param {object} userOptions
+   * @param {boolean} userOptions.log Also log each recorded event to the console
+   */
+  setDryRun(enabled, userOptions) {
+    const options = userOptions || {};
+    this.dryRun = enabled !== false;
+    this.logRecorded = !!options.log;
+    return this;
+  },
+
+  /**
+   * Get the events recorded in dry run mode
+   * @returns {array} category, action, label, options, adapter and time of each event
+   */
+  getRecorded() {
+    return this.recorded.slice();
+  },
+
+  /**
+   * Clear the events recorded in dry run mode
+   */
+  clearRecorded() {
+    this.recorded = [];
+    return this;
+  },
+
+  /**
+   * Store an event that would have been sent to an adapter
+   * @param {object} event
+   * @param {object} adapter
+   */
+  recordEvent(event, adapter) {
+    const entry = {
+      category: event.category,
+      action: event.action,
+      label: event.label,
+      options: event.options,
+      adapter: adapter.name,
+      time: getNow(),
+    };
+    this.recorded.push(entry);
+
+    if (this.logRecorded && window.console) {
+      window.console.log(`[events] ${adapter.name} (dry run)`, entry);
+    }
+  },
+
+  /**
+   * Storage used for each sendOnce scope. Page scope uses the in-memory eventCache, which
+   * holds the IDs of the events each experiment has sent
+   * @type {object}
+   */
+  sendOnceStorage: {
+    session: 'sessionStorage',
+    visitor: 'localStorage',
+  },
+
+  /**
+   * @param {string} experiment
+   * @returns {string} Storage key for the events an experiment has sent
+   */
+  getSentKey(experiment) {
+    return `ucSentEvents_${experiment}`;
+  },
+
+  /**
+   * Get the events an experiment has sent with sendOnce that haven't expired
+   * @param {string} experiment Experiment ID, usually the event category
+   * @param {string} scope 'session' or 'visitor', defaults to session
+   * @returns {object} Expiry timestamp (0 for no expiry) for each event ID
+   */
+  getSentEvents(experiment, scope) {
+    const type = this.sendOnceStorage[scope || 'session'];
+    const sent = storage.get(this.getSentKey(experiment), type) || {};
+    const now = getNow();
+
+    Object.keys(sent).forEach((eventID) => {
+      if (sent[eventID] && sent[eventID] < now) {
+        delete sent[eventID];
+      }
+    });
+
+    return sent;
+  },
+
+  /**
+   * Forget the events an experiment has sent with sendOnce so they can be sent again
+   * @param {string} experiment Experiment ID, usually the event category
+   * @param {string} scope 'page', 'session' or 'visitor', or leave out to clear all scopes
+   */
+  clearSentEvents(experiment, scope) {
+    if (!scope || scope === 'page') {
+      delete this.eventCache[experiment];
+    }
+
+    Object.keys(this.sendOnceStorage).forEach((storageScope) => {
+      if (!scope || scope === storageScope) {
+        storage.remove(this.getSentKey(experiment), this.sendOnceStorage[storageScope]);
+      }
+    });
+  },
+
+  /**
+   * Check if an event has already been sent and record it if not
+   * In dry run mode every scope is deduped in memory, so testing doesn't stop the real
+   * events being sent to the visitor later
+   * @param {string} eventID
+   * @param {object} options Options passed to events.send
+   * @param {string} experiment
+   * @returns {boolean} True if the event has already been sent
+   */
+  isDuplicate(eventID, options, experiment) {
+    const scope = options.sendOnce === true || this.dryRun ? 'page' : options.sendOnce;
+    const type = this.sendOnceStorage[scope];
+
+    if (!type) {
+      const cache = this.eventCache[experiment] || [];
+      // Check eventCache to see if this has already been sent
+      if (cache.indexOf(eventID) > -1) {
+        return true;
+      }
+      // Store event in cache
+      cache.push(eventID);
+      this.eventCache[experiment] = cache;
+      return false;
+    }
+
+    const sent = this.getSentEvents(experiment, scope);
+    if (Object.prototype.hasOwnProperty.call(sent, eventID)) {
+      return true;
+    }
+
+    sent[eventID] = options.ttl ? getNow() + options.ttl : 0;
+    storage.set(this.getSentKey(experiment), sent, type);
+    return false;
+  },
+
+  /**
+   * Send an event to an adapter once it's ready
+   * @param {object} adapter
+   * @param {object} event
+   * @param {function} onSent Called once the event has been sent (optional)
+   */
+  dispatch(adapter, event, onSent) {
+    const isReady = () => {
+      try {
+        return adapter.isReady();
+      } catch (err) {
+        return false;
+      }
+    };
+
+    const fire = () => {
+      try {
+        adapter.send(event);
+        if (onSent) onSent();
+      } catch (err) {
+        if (isDebugMode() && window.console) {
+          window.console.warn(`[events] ${adapter.name} failed to send`, event, err);
+        }
+      }
+    };
+
+    if (isReady()) {
+      fire();
+    } else {
+      poller([isReady], fire, { name: `events: ${adapter.name}` });
+    }
+  },
+
+  /**
+   * Send an event
+   * @param {string} evCategory
+   * @param {string} evAction
+   * @param {string} evLabel
+   * @param {object} userOptions
+   * @param {boolean|string} userOptions.sendOnce Only send the event once. true or 'page'
+   *  dedupes for the current page, 'session' for the session and 'visitor' across sessions
+   * @param {number} userOptions.ttl Time in ms before a session or visitor sendOnce
+   *  event can be sent again
+   * @param {string} userOptions.experiment Experiment ID that sendOnce events are
+   *  stored under and whose context is attached, defaults to the category
+   * @param {boolean} userOptions.nonInteraction Defaults to true
+   * @param {string} userOptions.transport Set to 'beacon' for events sent as the page unloads
+   * @param {number} userOptions.value Numeric value of the event, e.g. revenue
+   * @param {string} userOptions.currency ISO 4217 currency code of the value (optional)
+   */
+  send(evCategory, evAction, evLabel, userOptions) {
+    const options = userOptions || {};
+    const category = evCategory || this.category;
+    const action = evAction;
+    const label = evLabel;
+
+    if (typeof options === 'object' && options.sendOnce) {
+      const eventID = `${category}${action}${label}`;
+      if (this.isDuplicate(eventID, options, options.experiment || category)) {
+        return false;
+      }
+    }
+
+    const event = {
+      category,
+      action,
+      label,
+      options,
+      context: this.getContext(options.experiment || category),
+    };
+
+    const adapters = this.getAdapters();
+
+    if (this.dryRun) {
+      adapters.forEach(adapter => this.recordEvent(event, adapter));
+    } else {
+      const queueId = this.queue ? this.addToQueue(event, adapters) : null;
+
+      adapters.forEach((adapter) => {
+        this.dispatch(adapter, event, queueId ? () => this.removeFromQueue(queueId, adapter.name) : null);
+      });
+    }
+  },
+};
+
+/**
+ * Load a script wrapped in a promise. Any additional requests for the same script
+ * following the first attempt will instead return the original promise.
+ * This is useful to avoid sending unnecessary network requests when a script
+ * is required across multiple experiments
+ * @param {string} url
+ * @param {boolean} options.async
+ * @param {boolean} options.defer
+ * @returns {Promise}
+ */
+const globalGetScript = (url, options) => {
+  window.ucGlobals = window.ucGlobals || {};
+  const { ucGlobals } = window;
+
+  ucGlobals.requests = ucGlobals.requests || {};
+  const { requests } = ucGlobals;
+
+  const opts = options || {};
+
+  /**
+   * Create a script and resolve the promise on load
+   * @returns {Promise}
+   */
+  const createGlobalPromise = () => new Promise((resolve, reject) => {
+    let script = document.createElement('script');
+    script.async = opts.async instanceof Boolean ? opts.async : true;
+    script.defer = opts.defer instanceof Boolean ? opts.defer : true;
+
+    const onloadHander = (_, isAbort) => {
+      if (isAbort || !script.readyState || /loaded|complete/.test(script.readyState)) {
+        script.onload = null;
+        script.onreadystatechange = null;
+        script = undefined;
+
+        if (isAbort) {
+          reject();
+        } else {
+          resolve();
+        }
+      }
+    };
+
+    script.onload = onloadHander;
+    script.onreadystatechange = onloadHander;
+
+    script.src = url;
+    document.body.insertAdjacentElement('beforeend', script);
+  });
+
+  const isPromise = requests[url] instanceof Promise;
+  if (!isPromise) {
+    requests[url] = createGlobalPromise();
+  }
+
+  return requests[url];
+};
+
+/**
+ * Run a callback when an element is in view
+ * @param {HTMLElement} element The element you want to track viewability of
+ * @param {function} cb Callback function to run once the element is in full view
+ * @param {Object} options Settings for the tracker
+ * @param {boolean} options.removeOnView Removes scroll tracking when element is in view
+ * @param {number} options.throttle Custom throttle timing
+ */
+const viewabilityTracker = (element, cb, options) => {
+  let throttledCheckElement;
+  const stageHeight = Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
+  options = options || {
+    zeroHeightElementsNotInView: true, /* Zero height elements are usually hidden */
+    throttle: 250, /* Scroll throttle delay */
+    allElementHasToBeInView: true, /* Otherwise only top of element has to be in view */
+    removeOnView: true, /* cb fires once only */
+  };
+  const delay = options.throttle || 250;
+
+  const elementIsInView = (element, stageHeight) => {
+    const elementBoundingBox = element.getBoundingClientRect();
+    if (options.zeroHeightElementsNotInView && elementBoundingBox.height == 0) {
+      return false; 
+    }
+    const elementsTopY = elementBoundingBox.top;
+    const elementsBottomY = elementBoundingBox.top + elementBoundingBox.height;
+
+    if (options.allElementHasToBeInView) {
+      return elementsTopY >= 0 && elementsBottomY < stageHeight;
+    } else {
+      return elementsTopY <= stageHeight;
+    }
+  };
+
+  const checkElement = () => {
+    if (elementIsInView(element, stageHeight)) {
+      cb();
+      if (options.removeOnView) {
+        window.removeEventListener('scroll', throttledCheckElement);
+      }
+    }
+  };
+
+  throttledCheckElement = throttle(checkElement, delay);
+  window.addEventListener('scroll', throttledCheckElement);
+  checkElement();
+};
+
+/**
+ * Find the closest ancestor of an element, including itself, that matches a selector
+ * @param {HTMLElement} element
+ * @param {string} selector
+ * @returns {HTMLElement|null}
+ */
+const closest = (element, selector) => {
+  let el = element;
+  while (el && el.nodeType === 1) {
+    const matches = el.matches || el.msMatchesSelector || el.webkitMatchesSelector;
+    if (matches.call(el, selector)) return el;
+    el = el.parentNode;
+  }
+  return null;
+};
+
+/**
+ * @desc Conversion goal tracking for experiments. Each goal is sent as a 'Goal' event
+ * once per session
+ */
+const goals = {
+  /**
+   * Get the value of a goal, e.g. revenue shown on the page
+   * @param {number|string|function} value A number, a selector for an element containing
+   *  the value, or a function receiving the element and DOM event that returns one. The first
+   *  number in text values is used
+   * @param {HTMLElement} element Element that triggered the goal (optional)
+   * @param {Event} domEvent DOM event that triggered the goal (optional)
+   * @param {string} decimal Decimal separator of values read from the page, '.' (default)
+   *  or ',' for prices formatted like '€1.234,50'
+   * @returns {number|undefined}
+   */
+  getValue(value, element, domEvent, decimal) {
+    let result = value;
+
+    if (typeof value === 'function') {
+      result = value(element, domEvent);
+    } else if (typeof value === 'string') {
+      const valueElement = document.querySelector(value);
+      result = valueElement ? valueElement.textContent : undefined;
+    }
+
+    if (typeof result === 'string') {
+      // Take the first number, e.g. 15.00 from 'Now £15.00 was £20.00', and strip its
+      // thousands separators
+      const match = decimal === ','
+        ? result.match(/-?\d[\d.]*(,\d+)?/)
+        : result.match(/-?\d[\d,]*(\.\d+)?/);
+      result = match
+        ? parseFloat(decimal === ',' ? match[0].replace(/\./g, '').replace(',', '.') : match[0].replace(/,/g, ''))
+        : undefined;
+    }
+
+    return typeof result === 'number' && !isNaN(result) ? result : undefined;
+  },
+
+  /**
+   * Send a conversion for a goal
+   * @param {string} id Experiment ID
+   * @param {object} goal
+   * @param {number} value (optional)
+   */
+  convert(id, goal, value) {
+    const options = {
+      sendOnce: 'session',
+      experiment: id,
+      nonInteraction: false,
+    };
+
+    if (value !== undefined) {
+      options.value = value;
+      options.currency = goal.currency;
+    }
+
+    events.send(id, 'Goal', goal.name, options);
+  },
+
+  /**
+   * Declare the goals for an experiment
+   * @param {string} id Experiment ID
+   * @param {array} goalList Goals, each with a name, a type and:
+   *  click: selector of elements to track clicks on, including elements rendered later
+   *  submit: selector of forms to track submissions of
+   *  pageview: url the page URL contains (string) or matches (RegExp), required
+   *  custom: sent by calling trigger(name) on the returned object
+   *  Any goal can also have a value (see getValue), a currency and the decimal separator
+   *  of values read from the page
+   * @returns {object} trigger(name, value) to send custom goals and remove() to stop tracking
+   * @throws {Error} If a pageview goal has no url
+   */
+  define(id, goalList) {
+    const listeners = [];
+
+    goalList.forEach((goal) => {
+      if (goal.type === 'pageview' && !goal.url) {
+        throw new Error(`Pageview goal ${goal.name} needs a url`);
+      }
+    });
+
+    /**
+     * Listen for a DOM event on the document and convert goals whose selector matches
+     * Listens in the capture phase so the site stopping propagation doesn't block tracking
+     * @param {string} type DOM event type
+     * @param {array} delegatedGoals
+     */
+    const delegate = (type, delegatedGoals) => {
+      if (!delegatedGoals.length) return;
+
+      const listener = (domEvent) => {
+        delegatedGoals.forEach((goal) => {
+          const element = closest(domEvent.target, goal.selector);
+          if (element) {
+            this.convert(id, goal, this.getValue(goal.value, element, domEvent, goal.decimal));
+          }
+        });
+      };
+
+      document.addEventListener(type, listener, true);
+      listeners.push([type, listener]);
+    };
+
+    delegate('click', goalList.filter(goal => goal.type === 'click'));
+    delegate('submit', goalList.filter(goal => goal.type === 'submit'));
+
+    goalList.filter(goal => goal.type === 'pageview').forEach((goal) => {
+      if (evaluateDescriptor({ url: goal.url })) {
+        this.convert(id, goal, this.getValue(goal.value, null, null, goal.decimal));
+      }
+    });
+
+    return {
+      trigger: (name, value) => {
+        goalList.filter(goal => goal.type === 'custom' && goal.name === name).forEach((goal) => {
+          this.convert(id, goal, value !== undefined ? Number(value) : this.getValue(goal.value, null, null, goal.decimal));
+        });
+      },
+      remove: () => {
+        listeners.forEach(([type, listener]) => {
+          document.removeEventListener(type, listener, true);
+        });
+      },
+    };
+  },
+};
+
+/**
+ * @desc Registry of the page areas experiments modify, stored in window.ucGlobals so it is
+ * shared by every experiment on the page. Experiments claim selectors and an optional
+ * exclusion group, and conflicting claims are reported through events
+ */
+const collisions = {
+  /**
+   * @returns {object} Claims keyed by experiment ID
+   */
+  getRegistry() {
+    const globals = getGlobals();
+    globals.regions = globals.regions || {};
+    return globals.regions;
+  },
+
+  /**
+   * Check if any element matching one selector is, contains or is inside an element
+   * matching another
+   * @param {string} selectorA
+   * @param {string} selectorB
+   * @returns {boolean}
+   */
+  selectorsOverlap(selectorA, selectorB) {
+    if (selectorA === selectorB) return true;
+
+    const elementsA = document.querySelectorAll(selectorA);
+    const elementsB = document.querySelectorAll(selectorB);
+    for (let i = 0; i < elementsA.length; i += 1) {
+      for (let j = 0; j < elementsB.length; j += 1) {
+        if (elementsA[i].contains(elementsB[j]) || elementsB[j].contains(elementsA[i])) {
+          return true;
+        }
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Find the experiments a claim conflicts with
+   * @param {string} id Experiment ID
+   * @param {object} claim selectors and group
+   * @returns {array} id of each conflicting experiment and the reason: 'group' or 'selector'
+   */
+  findConflicts(id, claim) {
+    const registry = this.getRegistry();
+    const conflicts = [];
+
+    Object.keys(registry).forEach((otherId) => {
+      if (otherId === id) return;
+      const other = registry[otherId];
+
+      if (claim.group && claim.group === other.group) {
+        conflicts.push({ id: otherId, reason: 'group' });
+      } else if ((claim.selectors || []).some(selector => (
+        (other.selectors || []).some(otherSelector => this.selectorsOverlap(selector, otherSelector))
+      ))) {
+        conflicts.push({ id: otherId, reason: 'selector' });
+      }
+    });
+
+    return conflicts;
+  },
+
+  /**
+   * Claim page areas for an experiment
+   * @param {string} id Experiment ID
+   * @param {object} claim
+   * @param {array} claim.selectors Selectors of the elements the experiment modifies
+   * @param {string} claim.group Exclusion group, only one experiment per group can run
+   * @param {string} claim.mode 'refuse' to reject conflicting claims or 'warn' to allow them
+   * @returns {object} claimed and any conflicts
+   */
+  claim(id, claim) {
+    const mode = claim.mode || 'refuse';
+    const conflicts = this.findConflicts(id, claim);
+
+    conflicts.forEach((conflict) => {
+      events.send(id, 'Conflict', `${id} conflicts with ${conflict.id} (${conflict.reason})`, {
+        sendOnce: true,
+      });
+      if (isDebugMode() && window.console) {
+        window.console.warn(`[${id}] Conflicts with ${conflict.id} (${conflict.reason})`);
+      }
+    });
+
+    if (conflicts.length && mode === 'refuse') {
+      return { claimed: false, conflicts };
+    }
+
+    this.getRegistry()[id] = {
+      selectors: claim.selectors || [],
+      group: claim.group,
+    };
+    return { claimed: true, conflicts };
+  },
+
+  /**
+   * Release the page areas claimed by an experiment
+   * @param {string} id Experiment ID
+   */
+  release(id) {
+    delete this.getRegistry()[id];
+  },
+};
+
+/**
+ * @desc Hide elements until an experiment has applied its changes so visitors don't see
+ * the original content flash before the variation. A failsafe timeout makes sure the page
+ * is never left hidden
+ */
+const antiFlicker = {
+  /**
+   * Hide elements with an injected style
+   * @param {string|array} selectors Selector(s) of the elements to hide, defaults to body
+   * @param {object} userOptions
+   * @param {number} userOptions.timeout Time in ms before the elements are revealed anyway
+   * @param {string} userOptions.id Experiment ID to send the flicker time and any timeouts
+   *  as events for (optional)
+   * @returns {object} reveal() to show the elements, isRevealed() and getDuration()
+   */
+  hide(selectors, userOptions) {
+    const options = mergeObjects({
+      timeout: 3000,
+    }, userOptions || {});
+    const selectorList = [].concat(selectors || 'body');
+    const start = getNow();
+    let duration = null;
+    let timer;
+
+    const style = document.createElement('style');
+    style.type = 'text/css';
+    style.appendChild(document.createTextNode(`${selectorList.join(',')}{opacity:0!important}`));
+    // The head may not exist yet when running at the top of the page
+    (document.head || document.documentElement).appendChild(style);
+
+    /**
+     * Remove the style and record how long the elements were hidden
+     * @param {boolean} timedOut
+     */
+    const reveal = (timedOut) => {
+      if (duration !== null) return;
+      duration = getNow() - start;
+      clearTimeout(timer);
+      if (style.parentNode) style.parentNode.removeChild(style);
+
+      if (options.id) {
+        events.send(options.id, timedOut ? 'Anti-flicker timeout' : 'Anti-flicker revealed', `${duration}ms`, {
+          sendOnce: true,
+          value: duration,
+        });
+      }
+    };
+
+    timer = setTimeout(() => reveal(true), options.timeout);
+
+    return {
+      reveal: () => reveal(false),
+      isRevealed: () => duration !== null,
+      getDuration: () => duration,
+    };
+  },
+};
+
+/**
+ * @desc Detect client-side navigation in single page apps. history.pushState and
+ * replaceState are patched once per page and popstate/hashchange are listened to, and
+ * any URL change is dispatched on window as a 'ucnavigation' CustomEvent so every
+ * experiment on the page can listen to the same event
+ */
+const routeChange = {
+  /**
+   * Name of the event dispatched on window
+   * @type {string}
+   */
+  eventName: 'ucnavigation',
+
+  /**
+   * Patch the history methods and listen for popstate and hashchange, if not already done
+   * by this or another experiment
+   */
+  patch() {
+    const globals = getGlobals();
+    if (globals.routeChange) return;
+    globals.routeChange = { url: window.location.href };
+
+    /**
+     * Dispatch a navigation event if the URL has changed
+     * @param {string} type What caused the navigation
+     */
+    const emit = (type) => {
+      const { href, pathname } = window.location;
+      const previousUrl = globals.routeChange.url;
+      if (href === previousUrl) return;
+      globals.routeChange.url = href;
+
+      const detail = {
+        type,
+        url: href,
+        previousUrl,
+        path: pathname,
+      };
+
+      let event;
+      if (typeof window.CustomEvent === 'function') {
+        event = new window.CustomEvent(this.eventName, { detail });
+      } else {
+        event = document.createEvent('CustomEvent');
+        event.initCustomEvent(this.eventName, false, false, detail);
+      }
+      window.dispatchEvent(event);
+    };
+
+    ['pushState', 'replaceState'].forEach((method) => {
+      const original = window.history[method];
+      window.history[method] = function patchedHistoryMethod(...args) {
+        const result = original.apply(this, args);
+        emit(method);
+        return result;
+      };
+    });
+
+    window.addEventListener('popstate', () => emit('popstate'));
+    window.addEventListener('hashchange', () => emit('hashchange'));
+  },
+
+  /**
+   * Run a callback on every client-side navigation
+   * @param {function} cb Receives type (pushState, replaceState, popstate or hashchange),
+   *  url, previousUrl and path
+   * @returns {function} Stops listening
+   */
+  listen(cb) {
+    this.patch();
+
+    const listener = event => cb(event.detail);
+    window.addEventListener(this.eventName, listener);
+
+    return () => {
+      window.removeEventListener(this.eventName, listener);
+    };
+  },
+};
+
+/**
+ * Multiply two 32 bit integers like Math.imul, splitting them into 16 bit halves so the
+ * result isn't rounded in browsers without Math.imul
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} Signed 32 bit integer
+ */
+const multiply32 = (a, b) => {
+  const aHigh = (a >>> 16) & 0xffff;
+  const aLow = a & 0xffff;
+  const bHigh = (b >>> 16) & 0xffff;
+  const bLow = b & 0xffff;
+  return ((aLow * bLow) + (((aHigh * bLow + aLow * bHigh) << 16) >>> 0)) | 0;
+};
+
+/**
+ * Create a 32 bit FNV-1a hash of a string
+ * @param {string} str
+ * @returns {number} Unsigned 32 bit integer
+ */
+const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i += 1) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul ? Math.imul(hash, 0x01000193) : multiply32(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * @desc Deterministic client-side assignment of visitors to variations, for experiments
+ * run without a testing platform's allocator. The same visitor ID and experiment ID
+ * always give the same result, and assignments are persisted for visitors without one
+ */
+const bucketing = {
+  /**
+   * Name of the cookie and localStorage key storing the generated visitor ID
+   * @type {string}
+   */
+  visitorKey: 'ucVisitorId',
+
+  /**
+   * Get a stable ID for the visitor, generating and storing one if needed
+   * @param {string} visitorId Your own visitor ID, e.g. a customer ID (optional)
+   * @returns {string}
+   */
+  getVisitorId(visitorId) {
+    if (visitorId) return String(visitorId);
+
+    let id = cookies.get(this.visitorKey) || storage.get(this.visitorKey, 'localStorage');
+    if (!id) {
+      id = `${getNow().toString(36)}.${Math.random().toString(36).substring(2)}`;
+    }
+
+    // Store in both so the ID survives either being cleared
+    cookies.set(this.visitorKey, id, 365);
+    storage.set(this.visitorKey, id, 'localStorage');
+    return id;
+  },
+
+  /**
+   * Get a number between 0 and 1 from a hash of a string
+   * @param {string} key
+   * @returns {number}
+   */
+  getBucket(key) {
+    return hashString(key) / 4294967296;
+  },
+
+  /**
+   * Get a stored assignment
+   * @param {string} key
+   * @param {string} persist 'cookie' or 'localStorage'
+   * @returns {object|null}
+   */
+  getStored(key, persist) {
+    if (persist === 'localStorage') {
+      return storage.get(key, 'localStorage');
+    }
+
+    try {
+      return JSON.parse(cookies.get(key));
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * Assign the visitor to a variation
+   * @param {object} userOptions
+   * @param {string} userOptions.experiment Experiment ID
+   * @param {array} userOptions.variations Variation names, or objects with name and weight.
+   *  Variations without a weight are weighted equally
+   * @param {number} userOptions.traffic Percentage of visitors included in the experiment
+   * @param {number} userOptions.holdback Percentage of included visitors held back from
+   *  every variation
+   * @param {string} userOptions.visitorId Your own visitor ID to assign with, so visitors
+   *  get the same variation across devices (optional)
+   * @param {string|boolean} userOptions.persist 'cookie', 'localStorage' or false
+   * @returns {object} experiment, visitorId, variation (null unless status is 'variation')
+   *  and status: 'variation', 'holdback' or 'excluded'
+   */
+  assign(userOptions) {
+    const options = mergeObjects({
+      variations: ['control', '1'],
+      traffic: 100,
+      holdback: 0,
+      persist: 'cookie',
+    }, userOptions || {});
+
+    const { experiment, traffic, holdback } = options;
+
+    // QA overrides aren't persisted so the visitor's real assignment is kept
+    const forced = qa.getForcedVariation(experiment);
+    if (forced !== null || qa.isDisabled(experiment)) {
+      return {
+        experiment,
+        visitorId: this.getVisitorId(options.visitorId),
+        variation: forced,
+        status: forced !== null ? 'variation' : 'excluded',
+        forced: forced !== null,
+      };
+    }
+
+    const variations = options.variations.map(variation => (
+      typeof variation === 'object' ? variation : { name: String(variation) }
+    ));
+    const storageKey = `ucBucket_${experiment}`;
+
+    // Reuse a stored assignment if it's for the same visitor and the variation still exists
+    const stored = options.persist ? this.getStored(storageKey, options.persist) : null;
+    const storedIsValid = stored
+      && (!options.visitorId || stored.visitorId === String(options.visitorId))
+      && (stored.status !== 'variation' || variations.some(variation => variation.name === stored.variation));
+    if (storedIsValid) {
+      return stored;
+    }
+
+    const visitorId = this.getVisitorId(options.visitorId);
+    const key = `${visitorId}:${experiment}`;
+    const assignment = {
+      experiment,
+      visitorId,
+      variation: null,
+      status: 'variation',
+    };
+
+    if (this.getBucket(`${key}:traffic`) * 100 >= traffic) {
+      assignment.status = 'excluded';
+    } else if (this.getBucket(`${key}:holdback`) * 100 < holdback) {
+      assignment.status = 'holdback';
+    } else {
+      const weights = variations.map(variation => (variation.weight !== undefined ? variation.weight : 1));
+      const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+      const point = this.getBucket(key) * totalWeight;
+
+      let cumulative = 0;
+      for (let i = 0; i < variations.length; i += 1) {
+        cumulative += weights[i];
+        if (point < cumulative) {
+          assignment.variation = variations[i].name;
+          break;
+        }
+      }
+    }
+
+    if (options.persist === 'localStorage') {
+      storage.set(storageKey, assignment, 'localStorage');
+    } else if (options.persist) {
+      cookies.set(storageKey, JSON.stringify(assignment), 90);
+    }
+
+    return assignment;
+  },
+};
+
+/**
+ * @desc Declarative audience targeting. Rules are objects whose keys are rule types that
+ * must all match, e.g. { path: /^\/product\//, device: 'mobile' }, combined into trees with
+ * { all: [] }, { any: [] } and { not: rule }. Expected values are matched with matchValue
+ */
+const targeting = {
+  /**
+   * Get the type of device from the user agent and viewport width
+   * @returns {string} 'mobile', 'tablet' or 'desktop'
+   */
+  getDevice() {
+    const ua = window.navigator.userAgent;
+    const width = Math.max(document.documentElement.clientWidth, window.innerWidth || 0);
+
+    if (/iPad|Tablet|Android(?!.*Mobile)/i.test(ua)) return 'tablet';
+    if (/Mobi|iPhone|iPod|Android/i.test(ua) || width < 768) return 'mobile';
+    return 'desktop';
+  },
+
+  /**
+   * Evaluators for each rule type, called with the expected value
+   * @type {object}
+   */
+  rules: {
+    /** Full URL contains the string or matches the RegExp */
+    url: expected => (typeof expected === 'string'
+      ? window.location.href.indexOf(expected) > -1
+      : matchValue(window.location.href, expected)),
+
+    /** URL path matches */
+    path: expected => matchValue(window.location.pathname, expected),
+
+    /** Object of query parameters and the values they must match */
+    query: expected => Object.keys(expected).every(key => matchValue(getQueryParam(key), expected[key])),
+
+    /** Referrer contains the string or matches the RegExp */
+    referrer: expected => (typeof expected === 'string'
+      ? document.referrer.indexOf(expected) > -1
+      : matchValue(document.referrer, expected)),
+
+    /** 'mobile', 'tablet' or 'desktop', or an array of them */
+    device: (expected) => {
+      const device = targeting.getDevice();
+      return expected instanceof Array ? expected.indexOf(device) > -1 : matchValue(device, expected);
+    },
+
+    /** Object with minWidth, maxWidth, minHeight and/or maxHeight in px */
+    viewport: (expected) => {
+      const width = Math.max(document.documentElement.clientWidth, window.innerWidth || 0);
+      const height = Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
+      return (expected.minWidth === undefined || width >= expected.minWidth)
+        && (expected.maxWidth === undefined || width <= expected.maxWidth)
+        && (expected.minHeight === undefined || height >= expected.minHeight)
+        && (expected.maxHeight === undefined || height <= expected.maxHeight);
+    },
+
+    /** Object of cookie names and the values they must match */
+    cookie: expected => Object.keys(expected).every(name => matchValue(cookies.get(name), expected[name])),
+
+    /** Object of localStorage keys and the values they must match */
+    localStorage: expected => Object.keys(expected).every((key) => {
+      let value = null;
+      try {
+        value = window.localStorage.getItem(key);
+      } catch (err) {
+        // Storage unavailable
+      }
+      return matchValue(value, expected[key]);
+    }),
+
+    /** Custom predicate function */
+    js: expected => !!expected(),
+
+    /** CSS selector or condition descriptor (see evaluateDescriptor) present in the DOM */
+    element: expected => (typeof expected === 'string'
+      ? !!document.querySelector(expected)
+      : !!evaluateDescriptor(expected)),
+  },
+
+  /**
+   * Evaluate a rule tree. An empty any never matches
+   * @param {object} rule
+   * @param {string} path Location of the rule in the tree, used when reporting failures
+   * @returns {object} matched and the failed rules, each with path, type and expected value
+   * @throws {Error} If all, any or not are combined with each other or other rules in one object
+   */
+  evaluate(rule, path) {
+    const rulePath = path || 'audience';
+    const failed = [];
+
+    const keys = Object.keys(rule);
+    const combinators = keys.filter(key => key === 'all' || key === 'any' || key === 'not');
+    if (combinators.length && keys.length > 1) {
+      throw new Error(`Invalid audience rule at ${rulePath}: ${combinators.join('/')} can't be combined with ${keys.filter(key => key !== combinators[0]).join(', ')}, wrap them in all instead`);
+    }
+
+    if (rule.all) {
+      rule.all.forEach((child, i) => {
+        failed.push(...this.evaluate(child, `${rulePath}.all[${i}]`).failed);
+      });
+    } else if (rule.any) {
+      const results = rule.any.map((child, i) => this.evaluate(child, `${rulePath}.any[${i}]`));
+      if (!results.length) {
+        failed.push({ path: `${rulePath}.any`, type: 'any', expected: rule.any });
+      } else if (!results.some(result => result.matched)) {
+        results.forEach(result => failed.push(...result.failed));
+      }
+    } else if (rule.not) {
+      if (this.evaluate(rule.not, `${rulePath}.not`).matched) {
+        failed.push({ path: `${rulePath}.not`, type: 'not', expected: rule.not });
+      }
+    } else {
+      Object.keys(rule).forEach((type) => {
+        const evaluator = this.rules[type];
+        let matched = false;
+        try {
+          matched = evaluator ? evaluator(rule[type]) : false;
+        } catch (err) {
+          // Treat rules that throw, e.g. a predicate reading a missing global, as failed
+        }
+
+        if (!matched) {
+          failed.push({ path: `${rulePath}.${type}`, type, expected: rule[type] });
+        }
+      });
+    }
+
+    return {
+      matched: !failed.length,
+      failed,
+    };
+  },
+
+  /**
+   * Create a poller condition that passes once the audience matches
+   * The latest result is available on the condition's result property
+   * @param {object} rule
+   * @returns {function}
+   */
+  condition(rule) {
+    const audienceMatches = () => {
+      audienceMatches.result = targeting.evaluate(rule);
+      return audienceMatches.result.matched;
+    };
+    return audienceMatches;
+  },
+};
+
+/**
+ * @desc QA tools controlled with URL parameters and persisted for the session:
+ * ?uc_force=EXP123:2,EXP456:control forces variations, ?uc_disable=EXP123 turns experiments
+ * off (uc_disable=all for every experiment), ?uc_qa shows the badge and ?uc_qa=clear
+ * resets everything. Forced and disabled experiments override bucketing and targeting
+ */
+const qa = {
+  /**
+   * sessionStorage key for the QA settings
+   * @type {string}
+   */
+  storageKey: 'ucQA',
+
+  /**
+   * Experiment IDs and variations accepted from the URL. Anything else is ignored, as the
+   * values are persisted and shown on the page
+   * @type {RegExp}
+   */
+  valuePattern: /^[\w-]+$/,
+
+  /**
+   * Get the QA settings, reading any new parameters from the URL the first time
+   * Settings are shared with every experiment on the page through window.ucGlobals
+   * @returns {object} force, disable and badge
+   */
+  getSettings() {
+    const globals = getGlobals();
+    if (globals.qa) return globals.qa;
+
+    const qaParam = getQueryParam('uc_qa');
+    const forceParam = getQueryParam('uc_force');
+    const disableParam = getQueryParam('uc_disable');
+    let settings = storage.get(this.storageKey);
+
+    if (!settings || qaParam === 'clear') {
+      settings = {
+        force: {},
+        disable: [],
+        badge: false,
+      };
+    }
+
+    const isValid = value => this.valuePattern.test(value);
+    Object.keys(settings.force).forEach((id) => {
+      if (!isValid(id) || !isValid(settings.force[id])) delete settings.force[id];
+    });
+    settings.disable = settings.disable.filter(isValid);
+
+    if (forceParam) {
+      forceParam.split(',').forEach((pair) => {
+        const [id, variation] = pair.split(':');
+        if (!isValid(id) || !isValid(variation)) return;
+        settings.force[id] = variation;
+        settings.disable = settings.disable.filter(disabledId => disabledId !== id);
+      });
+    }
+
+    if (disableParam) {
+      disableParam.split(',').forEach((id) => {
+        if (isValid(id) && settings.disable.indexOf(id) === -1) settings.disable.push(id);
+      });
+    }
+
+    if (forceParam || disableParam || (qaParam !== null && qaParam !== 'clear')) {
+      settings.badge = true;
+    }
+
+    if (qaParam === 'clear') {
+      storage.remove(this.storageKey);
+    } else {
+      storage.set(this.storageKey, settings);
+    }
+
+    globals.qa = settings;
+    return settings;
+  },
+
+  /**
+   * @param {string} id Experiment ID
+   * @returns {string|null} The variation forced for an experiment
+   */
+  getForcedVariation(id) {
+    const { force } = this.getSettings();
+    return Object.prototype.hasOwnProperty.call(force, id) ? force[id] : null;
+  },
+
+  /**
+   * @param {string} id Experiment ID
+   * @returns {boolean} True if the experiment has been turned off
+   */
+  isDisabled(id) {
+    const { disable } = this.getSettings();
+    return disable.indexOf(id) > -1 || disable.indexOf('all') > -1;
+  },
+
+  /**
+   * Create the styles for the badge
+   * @returns {HTMLElement} Style element
+   */
+  createBadgeCSS() {
+    const style = document.createElement('style');
+    style.type = 'text/css';
+    style.appendChild(document.createTextNode('.UC_qa-badge{position:fixed;bottom:10px;left:10px;z-index:2147483647;max-width:300px;padding:8px 28px 8px 10px;background:#1b1b1b;color:#fff;font:12px/1.5 sans-serif;border-radius:3px;box-shadow:0 0 10px rgba(0,0,0,.3)}.UC_qa-badge__title{font-weight:700;margin-bottom:4px}.UC_qa-badge__close{position:absolute;top:4px;right:8px;cursor:pointer}'));
+    return style;
+  },
+
+  /**
+   * Show a badge listing the experiments on the page, their variations and states
+   * Does nothing unless the badge has been switched on with a QA parameter
+   */
+  updateBadge() {
+    if (!this.getSettings().badge) return;
+
+    if (!document.body) {
+      waitForElement('body').then(() => this.updateBadge());
+      return;
+    }
+
+    let badge = document.getElementById('UC_qa-badge');
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.id = 'UC_qa-badge';
+      badge.className = 'UC_qa-badge';
+      badge.appendChild(this.createBadgeCSS());
+
+      const close = document.createElement('span');
+      close.className = 'UC_qa-badge__close';
+      close.innerHTML = '&#215;';
+      close.addEventListener('click', () => {
+        badge.style.display = 'none';
+      });
+      badge.appendChild(close);
+
+      const list = document.createElement('div');
+      list.className = 'UC_qa-badge__list';
+      badge.appendChild(list);
+
+      document.body.appendChild(badge);
+    }
+
+    /**
+     * Create a row of the list, as text so values can't inject markup
+     * @param {string} text
+     * @param {string} className (optional)
+     * @returns {HTMLElement}
+     */
+    const createRow = (text, className) => {
+      const row = document.createElement('div');
+      if (className) row.className = className;
+      row.textContent = text;
+      return row;
+    };
+
+    const experiments = getGlobals().experiments || {};
+    const list = badge.querySelector('.UC_qa-badge__list');
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    list.appendChild(createRow('Experiments', 'UC_qa-badge__title'));
+    Object.keys(experiments).forEach((id) => {
+      const experiment = experiments[id];
+      const forced = this.getForcedVariation(id) !== null ? ' (forced)' : '';
+      list.appendChild(createRow(`${id}: ${experiment.variation !== undefined ? experiment.variation : '-'}${forced} - ${experiment.state}`));
+    });
+    if (!Object.keys(experiments).length) {
+      list.appendChild(createRow('None'));
+    }
+  },
+};
+
+/**
+ * Split a selector list on its top-level commas, leaving commas inside parentheses,
+ * e.g. :not(.a, .b), attribute brackets and quotes alone
+ * @param {string} selectorList
+ * @returns {array}
+ */
+const splitSelectors = (selectorList) => {
+  const selectors = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < selectorList.length; i += 1) {
+    const char = selectorList.charAt(i);
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth += 1;
+    } else if (char === ')' || char === ']') {
+      depth -= 1;
+    } else if (char === ',' && !depth) {
+      selectors.push(selectorList.substring(start, i));
+      start = i + 1;
+    }
+  }
+
+  selectors.push(selectorList.substring(start));
+  return selectors;
+};
+
+/**
+ * Convert a style object to CSS. Keys with object values are nested rules, '&' refers to
+ * the parent selector and at-rules such as media queries wrap their contents
+ * e.g. { '.cta': { fontSize: '16px', '&:hover': { color: 'red' } } }
+ * @param {object} rules
+ * @param {string} parent Parent selector (optional)
+ * @returns {string}
+ */
+const objectToCSS = (rules, parent) => {
+  let declarations = '';
+  let nested = '';
+
+  Object.keys(rules).forEach((key) => {
+    const value = rules[key];
+    if (typeof value === 'object') {
+      if (key.charAt(0) === '@') {
+        nested += `${key}{${objectToCSS(value, parent)}}`;
+      } else if (parent) {
+        const selectors = [];
+        splitSelectors(parent).forEach((parentSelector) => {
+          splitSelectors(key).forEach((selector) => {
+            selectors.push(selector.indexOf('&') > -1
+              ? selector.trim().replace(/&/g, parentSelector.trim())
+              : `${parentSelector.trim()} ${selector.trim()}`);
+          });
+        });
+        nested += objectToCSS(value, selectors.join(','));
+      } else {
+        nested += objectToCSS(value, key);
+      }
+    } else {
+      declarations += `${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}:${value};`;
+    }
+  });
+
+  return (parent && declarations ? `${parent}{${declarations}}` : '') + nested;
+};
+
+/**
+ * Prefix each selector in a CSS string with an experiment ID class. Selectors starting
+ * with html, body or :root, keyframe selectors and selectors already starting with the
+ * class are left as they are. '&' is replaced with the class
+ * @param {string} css
+ * @param {string} id Experiment ID
+ * @returns {string}
+ */
+const scopeCSS = (css, id) => {
+  const prefix = `.${id}`;
+  const scopeSelector = (selector) => {
+    const trimmed = selector.trim();
+    if (trimmed.indexOf('&') > -1) {
+      return trimmed.replace(/&/g, prefix);
+    }
+    if (/^(html|body|:root|from|to|[\d.]+%)(?![\w-])/.test(trimmed)
+      || (trimmed.indexOf(prefix) === 0 && !/[\w-]/.test(trimmed.charAt(prefix.length)))) {
+      return trimmed;
+    }
+    return `${prefix} ${trimmed}`;
+  };
+
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/([^{};]+)\{/g, (match, prelude) => {
+      const trimmed = prelude.trim();
+      if (trimmed.charAt(0) === '@') return `${trimmed}{`;
+      return `${splitSelectors(trimmed).map(scopeSelector).join(',')}{`;
+    });
+};
+
+/**
+ * Inject CSS for an experiment. Identical sheets are only injected once and are shared
+ * between the experiments that injected them until each has removed its styles
+ * @param {string} id Experiment ID
+ * @param {string|object} css CSS string or style object, see objectToCSS
+ * @param {object} userOptions
+ * @param {boolean} userOptions.scope Prefix selectors with the experiment ID class
+ * @param {boolean} userOptions.adopt Use document.adoptedStyleSheets where supported instead
+ *  of a style element
+ * @returns {object} Registry entry with the CSS and its style element or sheet
+ */
+const injectStyles = (id, css, userOptions) => {
+  const options = mergeObjects({
+    scope: true,
+    adopt: false,
+  }, userOptions || {});
+  const globals = getGlobals();
+  if (!globals.styles) {
+    globals.styles = {};
+  }
+
+  let cssText = typeof css === 'string' ? css : objectToCSS(css);
+  if (options.scope) {
+    cssText = scopeCSS(cssText, id);
+  }
+
+  const key = hashString(cssText).toString(36);
+  const existing = globals.styles[key];
+  if (existing) {
+    if (existing.ids.indexOf(id) === -1) {
+      existing.ids.push(id);
+    }
+    return existing;
+  }
+
+  const entry = { css: cssText, ids: [id] };
+  if (options.adopt && 'adoptedStyleSheets' in document && typeof CSSStyleSheet === 'function') {
+    try {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(cssText);
+      document.adoptedStyleSheets = document.adoptedStyleSheets.concat(sheet);
+      entry.sheet = sheet;
+    } catch (err) {
+      // Constructable stylesheets aren't supported, fall back to a style element
+    }
+  }
+
+  if (!entry.sheet) {
+    const style = document.createElement('style');
+    style.type = 'text/css';
+    style.setAttribute('data-uc-styles', key);
+    style.appendChild(document.createTextNode(cssText));
+    (document.head || document.documentElement).appendChild(style);
+    entry.element = style;
+  }
+
+  globals.styles[key] = entry;
+  return entry;
+};
+
+/**
+ * Remove the styles injected for an experiment. Shared sheets are kept until no
+ * experiment uses them
+ * @param {string} id Experiment ID
+ */
+const removeStyles = (id) => {
+  const registry = getGlobals().styles || {};
+  Object.keys(registry).forEach((key) => {
+    const entry = registry[key];
+    entry.ids = entry.ids.filter(entryId => entryId !== id);
+    if (entry.ids.length) return;
+
+    if (entry.sheet) {
+      document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => sheet !== entry.sheet);
+    }
+    if (entry.element && entry.element.parentNode) {
+      entry.element.parentNode.removeChild(entry.element);
+    }
+    delete registry[key];
+  });
+};
+
+/** Class for native JS animations */
+class Animation {
+  /**
+   * Animate the style property of an element
+   * @param {Object} options Options object
+   * @param {HTMLElement} options.elem
+   * @param {string} options.style CSS property to animate
+   * @param {string} options.unit % or px
+   * @param {number} options.from Animate value from
+   * @param {number} options.to Animate value to
+   * @param {number} options.time Time to complete animation
+   * @param {number} options.buffer Time between each value change
+   *  lower results in a smoother animation but is worse for performance
+   * @param {function} options.beforeAnim Function to run before animation
+   * @param {function} options.afterAnim Function to run after animation
+   */
+  constructor(options) {
+    // Set defaults
+    this.options = {
+      elem: options.elem,
+      style: options.style,
+      unit: options.unit !== undefined ? options.unit : 'px',
+      from: options.from !== 'undefined' ? options.from : options.elem.style[options.style],
+      to: options.to,
+      time: options.time !== 'undefined' ? options.time : 3000,
+      buffer: options.buffer !== 'undefined' ? options.buffer : 20,
+      beforeAnim: options.beforeAnim,
+      afterAnim: options.afterAnim,
+    };
+    this.animate();
+  }
+
+  animate() {
+    const {
+      elem,
+      style,
+      unit,
+      from,
+      to,
+      time,
+      buffer,
+      beforeAnim,
+      afterAnim,
+    } = this.options;
+
+    // Run beforeAnim function
+    if (beforeAnim && typeof beforeAnim === 'function') beforeAnim();
+
+    // Initial values
+    elem.style[style] = from + unit;
+    const start = new Date().getTime();
+
+    /**
+     * Update style value for the next frame
+     */
+    const nextFrame = () => {
+      const step = Math.min(1, (new Date().getTime() - start) / time);
+      elem.style[style] = (from + step * (to - from)) + unit;
+      if (step === 1) {
+        if (afterAnim && typeof afterAnim === 'function') afterAnim();
+      } else {
+        window.requestAnimationFrame(nextFrame);
+      }
+    };
+
+    // Init
+    setTimeout(() => {
+      window.requestAnimationFrame(nextFrame);
+    }, buffer);
+  }
+}
+
+/** Class to make DOM changes that can be reverted */
+class DomChanges {
+  /**
+   * Every change made is recorded so revert() can undo them in reverse order,
+   * e.g. when an experiment is stopped or the user navigates in a single page app
+   */
+  constructor() {
+    this.changes = [];
+  }
+
+  /**
+   * Record a function that undoes a change
+   * @param {function} undo
+   */
+  record(undo) {
+    this.changes.push(undo);
+  }
+
+  /**
+   * Check if an element, or one of its ancestors, was inserted by a DomChanges instance
+   * Used to avoid reacting to our own insertions, e.g. in observer callbacks
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  static isInserted(element) {
+    for (let el = element; el; el = el.parentNode) {
+      if (el.ucInserted) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Insert an element
+   * @param {HTMLElement|string} element Element or markup for a single element
+   * @param {HTMLElement} target
+   * @param {string} position insertAdjacentElement position, defaults to beforeend
+   * @returns {HTMLElement} The inserted element
+   */
+  insert(element, target, position) {
+    let el = element;
+    if (typeof element === 'string') {
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = element.trim();
+      el = wrapper.firstElementChild;
+    }
+
+    el.ucInserted = true;
+    target.insertAdjacentElement(position || 'beforeend', el);
+    this.track(el);
+    return el;
+  }
+
+  /**
+   * Record an element inserted by other code, e.g. a component, so it is removed on revert
+   * @param {HTMLElement} element
+   * @returns {HTMLElement}
+   */
+  track(element) {
+    this.record(() => {
+      if (element.parentNode) element.parentNode.removeChild(element);
+    });
+    return element;
+  }
+
+  /**
+   * Put an element back where it was. If the site has removed or re-rendered the sibling
+   * it was before, it goes at the end of its original parent instead
+   * @param {HTMLElement} element
+   * @param {HTMLElement} parentNode
+   * @param {Node} nextSibling
+   */
+  static restore(element, parentNode, nextSibling) {
+    if (nextSibling && nextSibling.parentNode === parentNode) {
+      parentNode.insertBefore(element, nextSibling);
+    } else {
+      parentNode.appendChild(element);
+    }
+  }
+
+  /**
+   * Remove an element
+   * @param {HTMLElement} element
+   */
+  remove(element) {
+    const { parentNode, nextSibling } = element;
+    if (!parentNode) return;
+
+    parentNode.removeChild(element);
+    this.record(() => DomChanges.restore(element, parentNode, nextSibling));
+  }
+
+  /**
+   * Move an element to a new position
+   * @param {HTMLElement} element
+   * @param {HTMLElement} target
+   * @param {string} position insertAdjacentElement position, defaults to beforeend
+   */
+  move(element, target, position) {
+    const { parentNode, nextSibling } = element;
+
+    target.insertAdjacentElement(position || 'beforeend', element);
+    this.record(() => {
+      if (parentNode) {
+        DomChanges.restore(element, parentNode, nextSibling);
+      } else if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} name
+   * @param {string} value
+   */
+  setAttribute(element, name, value) {
+    const hadAttribute = element.hasAttribute(name);
+    const originalValue = element.getAttribute(name);
+
+    element.setAttribute(name, value);
+    this.record(() => {
+      if (hadAttribute) {
+        element.setAttribute(name, originalValue);
+      } else {
+        element.removeAttribute(name);
+      }
+    });
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} className
+   */
+  addClass(element, className) {
+    if (element.classList.contains(className)) return;
+
+    element.classList.add(className);
+    this.record(() => element.classList.remove(className));
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} className
+   */
+  removeClass(element, className) {
+    if (!element.classList.contains(className)) return;
+
+    element.classList.remove(className);
+    this.record(() => element.classList.add(className));
+  }
+
+  /**
+   * Set inline styles
+   * @param {HTMLElement} element
+   * @param {string|object} property CSS property, or an object of properties and values
+   * @param {string} value
+   */
+  setStyle(element, property, value) {
+    if (typeof property === 'object') {
+      Object.keys(property).forEach(key => this.setStyle(element, key, property[key]));
+      return;
+    }
+
+    const el = element;
+    const originalValue = el.style[property];
+    el.style[property] = value;
+    this.record(() => {
+      el.style[property] = originalValue;
+    });
+  }
+
+  /**
+   * Replace the content of an element, keeping the original nodes so any event
+   * listeners on them still work after reverting. New elements are marked as inserted,
+   * see DomChanges.isInserted
+   * @param {HTMLElement} element
+   * @param {string} content
+   * @param {string} property textContent or innerHTML
+   */
+  replaceContent(element, content, property) {
+    const el = element;
+    const originalNodes = Array.prototype.slice.call(el.childNodes);
+
+    el[property] = content;
+    Array.prototype.slice.call(el.children).forEach((child) => {
+      const inserted = child;
+      inserted.ucInserted = true;
+    });
+    this.record(() => {
+      el.innerHTML = '';
+      originalNodes.forEach(node => el.appendChild(node));
+    });
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} text
+   */
+  setText(element, text) {
+    this.replaceContent(element, text, 'textContent');
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} html
+   */
+  setHTML(element, html) {
+    this.replaceContent(element, html, 'innerHTML');
+  }
+
+  /**
+   * Undo every recorded change, most recent first
+   */
+  revert() {
+    while (this.changes.length) {
+      const undo = this.changes.pop();
+      try {
+        undo();
+      } catch (err) {
+        // Carry on reverting the other changes if the site has removed an element
+      }
+    }
+  }
+}
+
+/**
+ * @desc Declarative change sets so simple copy and style changes can be stored as JSON
+ * outside the code. A change set is an array of changes such as
+ * { selector: '.cta', action: 'text', value: 'Buy now' }. Each change is applied to every
+ * matching element as soon as it exists and re-applied to elements the site re-renders
+ */
+const changeSets = {
+  /**
+   * Functions to apply each action, called with a DomChanges instance, the element and
+   * the change
+   * @type {object}
+   */
+  actions: {
+    /** value: text content */
+    text: (changes, element, change) => changes.setText(element, change.value),
+
+    /** value: markup */
+    html: (changes, element, change) => changes.setHTML(element, change.value),
+
+    /** value: object of attribute names and values */
+    attr: (changes, element, change) => {
+      Object.keys(change.value).forEach(name => changes.setAttribute(element, name, change.value[name]));
+    },
+
+    /** value: object of CSS properties and values */
+    style: (changes, element, change) => changes.setStyle(element, change.value),
+
+    /** value: markup of an element to insert after the element */
+    insertAfter: (changes, element, change) => changes.insert(change.value, element, 'afterend'),
+
+    /** No value */
+    hide: (changes, element) => changes.setStyle(element, 'display', 'none'),
+
+    /** value: object with a target selector and optional insertAdjacentElement position */
+    move: (changes, element, change) => {
+      const target = document.querySelector(change.value.target);
+      if (target) {
+        changes.move(element, target, change.value.position || 'beforeend');
+      }
+    },
+  },
+
+  /**
+   * Check a change set is valid
+   * @param {array} changeSet
+   * @returns {array} Error messages, empty if valid
+   */
+  validate(changeSet) {
+    if (!(changeSet instanceof Array)) {
+      return ['Change set must be an array'];
+    }
+
+    const errors = [];
+    changeSet.forEach((change, i) => {
+      if (!change || typeof change.selector !== 'string') {
+        errors.push(`Change ${i} is missing a selector`);
+      } else if (!this.actions[change.action]) {
+        errors.push(`Change ${i} has an unknown action: ${change.action}`);
+      } else if (change.action !== 'hide' && change.value === undefined) {
+        errors.push(`Change ${i} is missing a value`);
+      }
+    });
+    return errors;
+  },
+
+  /**
+   * Convert a change set to JSON
+   * @param {array} changeSet
+   * @returns {string}
+   */
+  serialize(changeSet) {
+    return JSON.stringify(changeSet.map(change => ({
+      selector: change.selector,
+      action: change.action,
+      value: change.value,
+    })));
+  },
+
+  /**
+   * Parse and validate a JSON change set
+   * @param {string} json
+   * @returns {array}
+   */
+  parse(json) {
+    const changeSet = JSON.parse(json);
+    const errors = this.validate(changeSet);
+    if (errors.length) {
+      throw new Error(`Invalid change set: ${errors.join(', ')}`);
+    }
+    return changeSet;
+  },
+
+  /**
+   * Apply a change set
+   * @param {array|string} changeSet Array of changes or JSON
+   * @param {object} userOptions
+   * @param {string} userOptions.id Experiment ID to tag the observers with and report
+   *  unresolved selectors for (optional)
+   * @param {number} userOptions.timeout Time in ms to wait for selectors before reporting
+   *  them as unresolved. Changes are still applied to elements found later
+   * @param {DomChanges} userOptions.changes Records the changes, a new one is created if
+   *  not given
+   * @returns {object} changes (DomChanges), revert() and result, a promise resolving with
+   *  the applied and unresolved selectors once the timeout has passed, or on revert
+   */
+  apply(changeSet, userOptions) {
+    const options = mergeObjects({
+      timeout: 5000,
+    }, userOptions || {});
+    const set = typeof changeSet === 'string' ? this.parse(changeSet) : changeSet;
+    const changes = options.changes || new DomChanges();
+    const appliedCounts = set.map(() => 0);
+
+    const errors = this.validate(set);
+    if (errors.length) {
+      throw new Error(`Invalid change set: ${errors.join(', ')}`);
+    }
+
+    const mutationObservers = set.map((change, i) => observer.onAdded(document.documentElement, change.selector, (element) => {
+      // Skip elements we inserted, otherwise markup matching its own selector is inserted forever
+      if (DomChanges.isInserted(element)) return;
+
+      this.actions[change.action](changes, element, change);
+      appliedCounts[i] += 1;
+    }, { id: options.id }));
+
+    let timer;
+    let settle;
+    const result = new Promise((resolve) => {
+      settle = (report) => {
+        clearTimeout(timer);
+        const applied = set.filter((change, i) => appliedCounts[i]).map(change => change.selector);
+        const unresolved = set.filter((change, i) => !appliedCounts[i]).map(change => change.selector);
+
+        if (report && unresolved.length && options.id) {
+          events.send(options.id, 'Unresolved changes', unresolved.join(', '), { sendOnce: true });
+        }
+
+        resolve({ applied, unresolved });
+      };
+      timer = setTimeout(() => settle(true), options.timeout);
+    });
+
+    return {
+      changes,
+      result,
+      revert: () => {
+        settle(false);
+        observer.prune(observer.active.filter(entry => mutationObservers.indexOf(entry[1]) > -1));
+        changes.revert();
+      },
+    };
+  },
+};
+
+/**
+ * Class to run an experiment through its lifecycle: wait for the poller conditions,
+ * apply the variation, tag the session and send an activation event.
+ * States are idle (not started), pending, active, failed, reverted, excluded (audience
+ * didn't match), holdback (bucketed into the holdback group), disabled (turned off by qa)
+ * and conflict (another experiment has claimed the same page areas)
+ */
+class Experiment {
+  /**
+   * Create an experiment
    * @param {Object} options Options object
-   * @param {HTMLElement} options.elem
-   * @param {string} options.style CSS property to animate
-   * @param {string} options.unit % or px
-   * @param {number} options.from Animate value from
-   * @param {number} options.to Animate value to
-   * @param {number} options.time Time to complete animation
-   * @param {number} options.buffer Time between each value change
-   *  lower results in a smoother animation but is worse for performance
-   * @param {function} options.beforeAnim Function to run before animation
-   * @param {function} options.afterAnim Function to run after animation
+   * @param {string} options.id Experiment ID
+   * @param {string} options.variation Variation name or number
+   * @param {object} options.bucketing Options for bucketing.assign to choose the variation
+   *  instead of giving one (optional)
+   * @param {object} options.audience targeting rules the visitor must match, otherwise the
+   *  experiment is excluded. If only element rules fail, the audience is waited for with
+   *  the conditions (optional)
+   * @param {array} options.regions Selectors of the page areas the experiment modifies,
+   *  claimed with collisions.claim on activation (optional)
+   * @param {string} options.exclusionGroup Only one experiment in a group can be active (optional)
+   * @param {string} options.onConflict 'refuse' (default) to not activate when another
+   *  experiment has claimed the same areas or group, or 'warn' to only report it
+   * @param {boolean|string|array|object} options.antiFlicker Hide the page (true), or the
+   *  given selector(s), while the experiment is pending. Pass an object with selectors and
+   *  timeout to change the failsafe timeout (optional)
+   * @param {boolean} options.spa Stop the experiment on client-side navigation and start it
+   *  again, re-evaluating the audience and conditions for the new page (optional)
+   * @param {array} options.conditions poller conditions to wait for before activating
+   * @param {function} options.activate Applies the variation. Receives the poller results
+   *  and the experiment. Changes made with experiment.changes (DomChanges) are reverted
+   *  when the experiment stops
+   * @param {array|string} options.changeSet Change set to apply on activation, see changeSets (optional)
+   * @param {string|object} options.styles CSS to inject on activation, scoped under the
+   *  experiment ID class, which is added to the body. Both are removed when the experiment
+   *  stops, see injectStyles (optional)
+   * @param {function} options.deactivate Reverts the variation (optional)
+   * @param {object} options.pollerOptions Options for the poller, e.g. timeout (optional)
+   * @param {object} options.context Extra experiment context for events, see
+   *  events.setExperimentContext (optional)
+   * @param {function} options.onStateChange Called with the new state (optional)
    */
   constructor(options) {
-    // Set defaults
+    this.id = options.id;
+    this.variation = options.variation;
     this.options = {
-      elem: options.elem,
-      style: options.style,
-      unit: options.unit !== undefined ? options.unit : 'px',
-      from: options.from !== 'undefined' ? options.from : options.elem.style[options.style],
-      to: options.to,
-      time: options.time !== 'undefined' ? options.time : 3000,
-      buffer: options.buffer !== 'undefined' ? options.buffer : 20,
-      beforeAnim: options.beforeAnim,
-      afterAnim: options.afterAnim,
+      conditions: options.conditions || [],
+      activate: options.activate,
+      deactivate: options.deactivate,
+      pollerOptions: options.pollerOptions || {},
+      context: options.context || {},
+      onStateChange: options.onStateChange,
+      bucketing: options.bucketing,
+      audience: options.audience,
+      regions: options.regions,
+      exclusionGroup: options.exclusionGroup,
+      onConflict: options.onConflict || 'refuse',
+      antiFlicker: options.antiFlicker,
+      spa: options.spa,
+      changeSet: options.changeSet,
+      styles: options.styles,
     };
-    this.animate();
+    this.hidden = null;
+    this.unlistenRoute = null;
+    this.changes = new DomChanges();
+    this.assignment = null;
+    this.audienceResult = null;
+    this.audienceCondition = null;
+    this.appliedChangeSet = null;
+    this.state = 'idle';
+    this.error = null;
+    this.polling = null;
   }
 
-  animate() {
-    const {
-      elem,
-      style,
-      unit,
-      from,
-      to,
-      time,
-      buffer,
-      beforeAnim,
-      afterAnim,
-    } = this.options;
+  /**
+   * Update the state of the experiment
+   * @param {string} state
+   */
+  setState(state) {
+    const { onStateChange } = this.options;
+    this.state = state;
+    if (state !== 'pending') this.reveal();
+    if (typeof onStateChange === 'function') onStateChange(state, this);
+    qa.updateBadge();
+  }
 
-    // Run beforeAnim function
-    if (beforeAnim && typeof beforeAnim === 'function') beforeAnim();
+  /**
+   * Hide the elements given in the antiFlicker option
+   */
+  hide() {
+    let settings = this.options.antiFlicker;
+    if (!settings) return;
 
-    // Initial values
-    elem.style[style] = from + unit;
-    const start = new Date().getTime();
+    if (settings === true || typeof settings === 'string' || settings instanceof Array) {
+      settings = { selectors: settings === true ? 'body' : settings };
+    }
+
+    this.hidden = antiFlicker.hide(settings.selectors, {
+      id: this.id,
+      timeout: settings.timeout || 3000,
+    });
+  }
+
+  /**
+   * Reveal the elements hidden by the antiFlicker option
+   */
+  reveal() {
+    if (this.hidden) {
+      this.hidden.reveal();
+      this.hidden = null;
+    }
+  }
+
+  /**
+   * Log a debug message for this experiment
+   * @param {string} method console method
+   * @param {...*} args
+   */
+  log(method, ...args) {
+    if (isDebugMode() && window.console) {
+      window.console[method](`[${this.id}]`, ...args);
+    }
+  }
+
+  /**
+   * Start waiting for the conditions. Experiments are registered in window.ucGlobals so
+   * the same experiment can't be started twice on a page while it is pending or active
+   * @returns {boolean} False if the experiment is already running
+   */
+  start() {
+    const globals = getGlobals();
+    globals.experiments = globals.experiments || {};
+    const running = globals.experiments[this.id];
+
+    if (running && (running.state === 'pending' || running.state === 'active')) {
+      this.log('warn', 'Already running, not starting again');
+      return false;
+    }
+
+    globals.experiments[this.id] = this;
+    this.error = null;
+
+    if (this.options.spa && !this.unlistenRoute) {
+      this.unlistenRoute = routeChange.listen(() => this.restart());
+    }
+
+    if (qa.isDisabled(this.id)) {
+      this.setState('disabled');
+      return false;
+    }
+
+    // Forcing a variation skips the audience and bucketing
+    const forced = qa.getForcedVariation(this.id);
+    if (forced !== null) {
+      this.variation = forced;
+    } else if (!this.checkAudience() || (this.options.bucketing && !this.assign())) {
+      return false;
+    }
+
+    this.setState('pending');
+    this.hide();
+
+    const pollerOptions = mergeObjects({ name: this.id }, this.options.pollerOptions);
+    const conditions = this.options.conditions.slice();
+    if (this.audienceCondition) {
+      conditions.push(this.audienceCondition);
+    }
+
+    const polling = pollerAsync(conditions, pollerOptions);
+    this.polling = polling;
 
     /**
-     * Update style value for the next frame
+     * Ignore the result if the experiment has been stopped or restarted since polling began,
+     * e.g. stopped in the same tick as conditions that passed straight away
+     * @returns {boolean}
      */
-    const nextFrame = () => {
-      const step = Math.min(1, (new Date().getTime() - start) / time);
-      elem.style[style] = (from + step * (to - from)) + unit;
-      if (step === 1) {
-        if (afterAnim && typeof afterAnim === 'function') afterAnim();
+    const isCurrent = () => this.state === 'pending' && polling === this.polling;
+
+    polling.then((results) => {
+      if (isCurrent()) this.activate(results);
+    }, (error) => {
+      if (!isCurrent()) return;
+
+      const { audienceCondition } = this;
+      if (audienceCondition && error.conditions && error.conditions.indexOf(audienceCondition) > -1) {
+        this.exclude(audienceCondition.result);
       } else {
-        window.requestAnimationFrame(nextFrame);
+        this.fail(error);
       }
-    };
+    });
 
-    // Init
-    setTimeout(() => {
-      window.requestAnimationFrame(nextFrame);
-    }, buffer);
+    return true;
+  }
+
+  /**
+   * Check the visitor matches the audience, if there is one
+   * @returns {boolean}
+   */
+  checkAudience() {
+    const { audience } = this.options;
+    this.audienceCondition = null;
+    if (!audience) return true;
+
+    this.audienceResult = targeting.evaluate(audience);
+    if (this.audienceResult.matched) return true;
+
+    // If only element rules failed they may not have rendered yet, so wait for them with
+    // the other conditions
+    if (this.audienceResult.failed.every(failure => failure.type === 'element')) {
+      this.audienceCondition = targeting.condition(audience);
+      return true;
+    }
+
+    this.exclude(this.audienceResult);
+    return false;
+  }
+
+  /**
+   * Exclude the visitor because the audience didn't match
+   * @param {object} result Result of targeting.evaluate
+   */
+  exclude(result) {
+    this.audienceResult = result;
+    this.log('log', 'Audience did not match', result.failed);
+    this.setState('excluded');
+  }
+
+  /**
+   * Assign the visitor to a variation with bucketing
+   * Visitors in the holdback group are tracked but never see a variation
+   * @returns {boolean} True if the visitor was assigned a variation
+   */
+  assign() {
+    const { id } = this;
+    this.assignment = bucketing.assign(mergeObjects({ experiment: id }, this.options.bucketing));
+    const { status } = this.assignment;
+
+    if (status === 'variation') {
+      this.variation = this.assignment.variation;
+      return true;
+    }
+
+    if (status === 'holdback') {
+      this.variation = 'holdback';
+      events.setExperimentContext(mergeObjects({ id, variation: 'holdback' }, this.options.context));
+      events.send(id, 'Holdback', `${id} visitor in holdback group`, { sendOnce: true });
+    }
+
+    this.setState(status);
+    return false;
+  }
+
+  /**
+   * Apply the variation and send the activation event
+   * @param {array} results Results of the poller conditions
+   */
+  activate(results) {
+    const { id, variation } = this;
+    const { regions, exclusionGroup, onConflict } = this.options;
+
+    if (regions || exclusionGroup) {
+      const { claimed } = collisions.claim(id, {
+        selectors: regions,
+        group: exclusionGroup,
+        mode: onConflict,
+      });
+      if (!claimed) {
+        this.setState('conflict');
+        return;
+      }
+    }
+
+    try {
+      events.setExperimentContext(mergeObjects({ id, variation }, this.options.context));
+      if (this.options.styles) {
+        this.changes.addClass(document.body, id);
+        injectStyles(id, this.options.styles);
+      }
+      if (this.options.changeSet) {
+        this.appliedChangeSet = changeSets.apply(this.options.changeSet, { id, changes: this.changes });
+      }
+      if (typeof this.options.activate === 'function') {
+        this.options.activate(results, this);
+      }
+    } catch (err) {
+      this.revertChanges();
+      this.fail(err);
+      events.send(id, 'Error', `${id} variation ${variation} failed to activate: ${err.message}`, { sendOnce: true });
+      return;
+    }
+
+    this.setState('active');
+    events.send(id, 'Activated', `${id} variation ${variation} activated`, { sendOnce: true });
+  }
+
+  /**
+   * Mark the experiment as failed
+   * @param {Error} error
+   */
+  fail(error) {
+    this.error = error;
+    this.setState('failed');
+    this.log('warn', 'Failed', error);
+  }
+
+  /**
+   * Stop waiting for the conditions, or revert the variation if it's active, and stop
+   * listening for client-side navigation so the experiment stays off
+   */
+  stop() {
+    if (this.unlistenRoute) {
+      this.unlistenRoute();
+      this.unlistenRoute = null;
+    }
+    this.teardown();
+  }
+
+  /**
+   * Stop waiting for the conditions, or revert the variation if it's active
+   * Observers tagged with the experiment ID are disconnected and its styles removed
+   */
+  teardown() {
+    const { state } = this;
+    if (state !== 'pending' && state !== 'active') return;
+
+    if (this.polling) {
+      this.polling.cancel();
+    }
+
+    if (state === 'active' && typeof this.options.deactivate === 'function') {
+      try {
+        this.options.deactivate(this);
+      } catch (err) {
+        this.log('warn', 'Failed to deactivate', err);
+      }
+    }
+
+    this.revertChanges();
+    this.setState('reverted');
+  }
+
+  /**
+   * Undo everything the variation changed: the change set, DOM changes and styles, and
+   * release its claimed regions and observers
+   */
+  revertChanges() {
+    if (this.appliedChangeSet) {
+      this.appliedChangeSet.revert();
+      this.appliedChangeSet = null;
+    }
+    this.changes.revert();
+    removeStyles(this.id);
+    collisions.release(this.id);
+    observer.disconnectAll(this.id);
+  }
+
+  /**
+   * Stop the experiment and start it again, e.g. after navigating in a single page app
+   */
+  restart() {
+    this.teardown();
+    this.start();
+  }
+
+  /**
+   * @returns {string} Current state of the experiment
+   */
+  getState() {
+    return this.state;
   }
 }
 
+/**
+ * @desc Define and start an experiment, see the Experiment class for options
+ * @param {object} options
+ * @param {boolean} options.autoStart Set to false to start the experiment later with start()
+ * @returns {Experiment}
+ */
+const defineExperiment = (options) => {
+  const experiment = new Experiment(options);
+  if (options.autoStart !== false) {
+    experiment.start();
+  }
+  return experiment;
+};
+
 export {
   poller,
+  pollerAsync,
+  waitForElement,
+  evaluateDescriptor,
+  getQueryParam,
+  isDebugMode,
   observer,
   group,
   hoverDelay,
   events,
+  analyticsAdapters,
   globalGetScript,
+  storage,
+  injectStyles,
+  removeStyles,
   viewabilityTracker,
   Animation,
+  DomChanges,
+  changeSets,
+  Experiment,
+  defineExperiment,
+  bucketing,
+  cookies,
+  targeting,
+  qa,
+  goals,
+  collisions,
+  antiFlicker,
+  routeChange,
+  sessionRecording,
   fullStory
 };